@@ -0,0 +1,143 @@
+/**
+ * Milestone badges evaluated against finalized report stats
+ * Each milestone reports its progress and the report day it was reached on; unlocked badges are
+ * kept in the extension settings so they survive cache cleanup.
+ */
+import { CONFIG } from './config.js';
+import { dateKeyToDayNumber } from './analyzer.js';
+
+/**
+ * First day on which a daily series adds up to the goal
+ * @param {Object<string, number>} daily - Date key -> count
+ * @returns {string|null} Date key, or null if the dated part never reaches the goal
+ */
+function getReachedDate(daily, goal) {
+    let total = 0;
+    for (const dateKey of Object.keys(daily || {}).sort()) {
+        total += daily[dateKey];
+        if (total >= goal) return dateKey;
+    }
+    return null;
+}
+
+/**
+ * First day on which a run of consecutive active days reaches the goal
+ */
+function getStreakReachedDate(dailyActivity, goal) {
+    let run = 0;
+    let previousDay = null;
+    for (const dateKey of Object.keys(dailyActivity || {}).sort()) {
+        const day = dateKeyToDayNumber(dateKey);
+        run = previousDay !== null && day - previousDay === 1 ? run + 1 : 1;
+        previousDay = day;
+        if (run >= goal) return dateKey;
+    }
+    return null;
+}
+
+// Day each character or group was first talked to (from the per-chat table), as a daily count of new ones
+function getNewCharactersByDay(chatStats) {
+    const firstDates = {};
+    (chatStats || []).forEach(chat => {
+        if (!chat.firstDate) return;
+        // Counted by avatar / group id, so same-named characters and a group named like one stay apart
+        const sourceKey = chat.sourceKey || chat.characterName;
+        const current = firstDates[sourceKey];
+        if (!current || chat.firstDate < current) {
+            firstDates[sourceKey] = chat.firstDate;
+        }
+    });
+    const daily = {};
+    Object.values(firstDates).forEach(dateKey => {
+        daily[dateKey] = (daily[dateKey] || 0) + 1;
+    });
+    return daily;
+}
+
+// metric(stats, goal) -> { value, date }
+const METRICS = {
+    messages: (stats, goal) => ({
+        value: stats.overview.totalMessages,
+        date: getReachedDate(stats.dailyActivity, goal)
+    }),
+    aiTokens: (stats, goal) => ({
+        value: stats.tokens.ai,
+        date: getReachedDate(stats.dailyAiTokens, goal)
+    }),
+    streak: (stats, goal) => ({
+        value: stats.streaks?.longestStreak || 0,
+        date: getStreakReachedDate(stats.dailyActivity, goal)
+    }),
+    activeDays: (stats, goal) => ({
+        value: Object.keys(stats.dailyActivity || {}).length,
+        date: Object.keys(stats.dailyActivity || {}).sort()[goal - 1] || null
+    }),
+    characters: (stats, goal) => ({
+        value: Object.keys(stats.characterSources || stats.characterStats || {}).length,
+        date: getReachedDate(getNewCharactersByDay(stats.chatStats), goal)
+    }),
+    nightOwl: (stats, goal) => ({
+        value: stats.hourlyActivity.slice(0, CONFIG.NIGHT_END_HOUR).reduce((sum, count) => sum + count, 0),
+        date: getReachedDate(stats.dailyNightActivity, goal)
+    })
+};
+
+export const ACHIEVEMENTS = [
+    { id: 'messages_1k', metric: 'messages', goal: 1000, icon: 'fa-comment', name: '初露锋芒', description: '累计 1,000 条消息' },
+    { id: 'messages_10k', metric: 'messages', goal: 10000, icon: 'fa-comments', name: '话匣子', description: '累计 10,000 条消息' },
+    { id: 'messages_100k', metric: 'messages', goal: 100000, icon: 'fa-book-open', name: '著作等身', description: '累计 100,000 条消息' },
+    { id: 'tokens_1m', metric: 'aiTokens', goal: 1000000, icon: 'fa-coins', name: '百万 Token', description: 'AI 累计输出 1,000,000 Token' },
+    { id: 'tokens_10m', metric: 'aiTokens', goal: 10000000, icon: 'fa-gem', name: '千万 Token', description: 'AI 累计输出 10,000,000 Token' },
+    { id: 'streak_7', metric: 'streak', goal: 7, icon: 'fa-fire', name: '一周不断', description: '连续 7 天聊天' },
+    { id: 'streak_30', metric: 'streak', goal: 30, icon: 'fa-fire-flame-curved', name: '月度常客', description: '连续 30 天聊天' },
+    { id: 'streak_100', metric: 'streak', goal: 100, icon: 'fa-trophy', name: '百日陪伴', description: '连续 100 天聊天' },
+    { id: 'active_365', metric: 'activeDays', goal: 365, icon: 'fa-calendar-check', name: '一年之约', description: '累计 365 个活跃日' },
+    { id: 'characters_10', metric: 'characters', goal: 10, icon: 'fa-user-group', name: '广交好友', description: '与 10 个角色/群聊聊过天' },
+    { id: 'characters_50', metric: 'characters', goal: 50, icon: 'fa-users', name: '人脉广阔', description: '与 50 个角色/群聊聊过天' },
+    { id: 'night_owl', metric: 'nightOwl', goal: 500, icon: 'fa-moon', name: '夜猫子', description: `凌晨 0 点至 ${CONFIG.NIGHT_END_HOUR} 点发送 500 条消息` }
+];
+
+/**
+ * Evaluate every milestone against a report
+ * @returns {object[]} Achievements with value, progress (0-1), reached and the date it was reached
+ */
+export function evaluateAchievements(stats) {
+    return ACHIEVEMENTS.map(achievement => {
+        const { value, date } = METRICS[achievement.metric](stats, achievement.goal);
+        const reached = value >= achievement.goal;
+        return {
+            ...achievement,
+            value,
+            progress: Math.min(1, value / achievement.goal),
+            reached,
+            date: reached ? date : null
+        };
+    });
+}
+
+/**
+ * Merge the milestones reached in a report into the persisted unlocks (keeping the earliest known date)
+ * @param {Object<string, string>} unlocked - Achievement id -> date key ('' if unknown)
+ * @param {object[]} evaluated - Result of evaluateAchievements
+ * @returns {{unlocked: Object<string, string>, newlyUnlocked: object[], changed: boolean}}
+ */
+export function mergeAchievements(unlocked, evaluated) {
+    const merged = { ...unlocked };
+    const newlyUnlocked = [];
+    let changed = false;
+
+    evaluated.forEach(achievement => {
+        if (!achievement.reached) return;
+        const date = achievement.date || '';
+        if (!(achievement.id in merged)) {
+            merged[achievement.id] = date;
+            newlyUnlocked.push(achievement);
+            changed = true;
+        } else if (date && (!merged[achievement.id] || date < merged[achievement.id])) {
+            merged[achievement.id] = date;
+            changed = true;
+        }
+    });
+
+    return { unlocked: merged, newlyUnlocked, changed };
+}
@@ -0,0 +1,152 @@
+/**
+ * Streaming analysis session
+ * Chats are handed over as soon as they are fetched and aggregated in a Web Worker,
+ * falling back to the main thread when workers are unavailable.
+ */
+import AnalyzerWorker from './analyzer.worker.js';
+import { Logger } from './logger.js';
+import { StatsAggregator, getSummarySourceKey } from './analyzer.js';
+import { saveSummaries } from './cache.js';
+
+const logger = new Logger('Stats-Analysis');
+
+export class AnalysisSession {
+    /**
+     * @param {object} options - StatsAggregator options (startDate, endDate, datedOnly);
+     *   retainSummaries keeps the summaries after finish() for analyzeCharacter()
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.chatCount = 0;
+        this.worker = null;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 0;
+
+        try {
+            this.worker = new AnalyzerWorker();
+        } catch (error) {
+            logger.warn('Web Worker unavailable, analyzing on the main thread:', error);
+        }
+
+        if (this.worker) {
+            this.result = new Promise((resolve, reject) => {
+                this.worker.onmessage = (event) => {
+                    const pending = this.pendingRequests.get(event.data.requestId);
+                    if (pending) {
+                        this.pendingRequests.delete(event.data.requestId);
+                        if (event.data.type === 'error') {
+                            pending.reject(new Error(event.data.message));
+                        } else {
+                            pending.resolve(event.data);
+                        }
+                        return;
+                    }
+                    if (event.data.type === 'result') {
+                        resolve(event.data);
+                    } else if (event.data.type === 'error') {
+                        reject(new Error(event.data.message));
+                    }
+                };
+                this.worker.onerror = (event) => {
+                    reject(new Error(event.message || 'Analysis worker failed'));
+                };
+            });
+            // Avoid unhandled rejections when the session is abandoned before finish()
+            this.result.catch(() => {});
+            this.worker.postMessage({ type: 'start', options });
+        } else {
+            this.aggregator = new StatsAggregator(options);
+            this.freshSummaries = [];
+            this.retainedSummaries = options.retainSummaries ? [] : null;
+        }
+    }
+
+    /**
+     * Add a fetched chat (raw) or a cached summary
+     */
+    add(chat) {
+        this.chatCount++;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'add', chat });
+            return;
+        }
+
+        const summary = this.aggregator.add(chat);
+        if (!chat.records) {
+            this.freshSummaries.push(summary);
+        }
+        if (this.retainedSummaries) {
+            this.retainedSummaries.push(summary);
+        }
+    }
+
+    /**
+     * Finish aggregation
+     * @returns {Promise<{stats: object, dateBounds: {min: string, max: string}, fetchedCount: number}>}
+     */
+    async finish() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'finish' });
+            try {
+                return await this.result;
+            } finally {
+                // Retained summaries live in the worker, so keep it for analyzeCharacter()
+                if (!this.options.retainSummaries) {
+                    this.terminate();
+                }
+            }
+        }
+
+        await saveSummaries(this.freshSummaries);
+        return {
+            stats: this.aggregator.finalize(),
+            dateBounds: this.aggregator.getDateBounds(),
+            fetchedCount: this.freshSummaries.length
+        };
+    }
+
+    /**
+     * Aggregate the retained summaries again with different options
+     * @param {object} [options] - StatsAggregator option overrides (e.g. startDate / endDate)
+     * @param {string|null} [sourceKey] - Only count this character's (or group's) chats, see getSummarySourceKey
+     * @returns {Promise<{stats: object, dateBounds: {min: string, max: string}}>}
+     */
+    async reanalyze(options = {}, sourceKey = null) {
+        if (!this.options.retainSummaries || (!this.worker && !this.retainedSummaries)) {
+            throw new Error('Summaries are not available for this session');
+        }
+
+        if (this.worker) {
+            const requestId = ++this.nextRequestId;
+            return new Promise((resolve, reject) => {
+                this.pendingRequests.set(requestId, { resolve, reject });
+                this.worker.postMessage({ type: 'reanalyze', requestId, sourceKey, options });
+            });
+        }
+
+        const subset = new StatsAggregator({ ...this.options, ...options });
+        this.retainedSummaries
+            .filter(summary => sourceKey === null || getSummarySourceKey(summary) === sourceKey)
+            .forEach(summary => subset.add(summary));
+        return { stats: subset.finalize(), dateBounds: subset.getDateBounds() };
+    }
+
+    /**
+     * Aggregate only one character's (or group's) chats from the retained summaries
+     * @param {string} sourceKey - Key as used in stats.characterSources
+     * @param {object} [options] - StatsAggregator option overrides
+     */
+    analyzeCharacter(sourceKey, options = {}) {
+        return this.reanalyze(options, sourceKey);
+    }
+
+    terminate() {
+        this.pendingRequests.forEach(pending => pending.reject(new Error('Analysis session terminated')));
+        this.pendingRequests.clear();
+        this.retainedSummaries = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * Chat data analysis functions
  */
+import { CONFIG } from './config.js';
 
 /**
  * Parse send_date to Date object
@@ -91,20 +92,114 @@ export function formatLocalDateKey(date) {
     return `${year}-${month}-${day}`;
 }
 
-function parseLocalDateKey(dateKey) {
-    if (!dateKey) return null;
-    const parts = String(dateKey).split('-').map((p) => Number(p));
-    if (parts.length !== 3 || parts.some((p) => !Number.isFinite(p))) return null;
-    const [year, month, day] = parts;
-    return new Date(year, month - 1, day);
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOCK_BUCKET_MS = 15 * 60 * 1000; // UTC offsets are multiples of 15 minutes
+
+/**
+ * Calendar arithmetic on YYYY-MM-DD keys (independent of any time zone)
+ */
+export function dateKeyToDayNumber(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function dayNumberToDateKey(dayNumber) {
+    const date = new Date(dayNumber * DAY_MS);
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${month}-${day}`;
+}
+
+function shiftDateKey(dateKey, days) {
+    return dayNumberToDateKey(dateKeyToDayNumber(dateKey) + days);
+}
+
+// Monday = 0
+function getDateKeyWeekday(dateKey) {
+    return (new Date(dateKeyToDayNumber(dateKey) * DAY_MS).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Maps timestamps to report days in a time zone, with days starting at dayStartHour
+ * (e.g. 4 = messages before 04:00 still count towards the previous day).
+ * An empty or unknown time zone uses the local time of the browser.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA time zone name
+ * @param {number} [options.dayStartHour] - 0-23
+ */
+export function createDayClock({ timeZone = '', dayStartHour = 0 } = {}) {
+    let formatter = null;
+    if (timeZone) {
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        } catch (e) {
+            formatter = null;
+        }
+    }
+    const startHour = Number.isInteger(dayStartHour) && dayStartHour > 0 && dayStartHour < 24 ? dayStartHour : 0;
+    const shiftMs = startHour * 60 * 60 * 1000;
+    const buckets = new Map(); // 15-minute bucket start -> { dateKey, minutes }
+
+    const getBucketFields = (bucketTs) => {
+        let fields = buckets.get(bucketTs);
+        if (fields) return fields;
+        if (formatter) {
+            const parts = {};
+            formatter.formatToParts(new Date(bucketTs)).forEach(part => {
+                parts[part.type] = part.value;
+            });
+            fields = { dateKey: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+        } else {
+            const date = new Date(bucketTs);
+            fields = { dateKey: formatLocalDateKey(date), minutes: date.getHours() * 60 + date.getMinutes() };
+        }
+        buckets.set(bucketTs, fields);
+        return fields;
+    };
+
+    return {
+        timeZone: formatter ? timeZone : '',
+        dayStartHour: startHour,
+        /**
+         * @returns {{dateKey: string, hour: number, msOfDay: number}} Report day, hour on the clock,
+         *   and time elapsed since the report day started
+         */
+        locate(ts) {
+            // Shifting by the day start makes e.g. 02:00 fall on the previous date
+            const shifted = ts - shiftMs;
+            const bucketTs = Math.floor(shifted / CLOCK_BUCKET_MS) * CLOCK_BUCKET_MS;
+            const fields = getBucketFields(bucketTs);
+            return {
+                dateKey: fields.dateKey,
+                hour: (Math.floor(fields.minutes / 60) + startHour) % 24,
+                msOfDay: fields.minutes * 60000 + (shifted - bucketTs)
+            };
+        },
+        dayKey(ts) {
+            return this.locate(ts).dateKey;
+        }
+    };
+}
+
+
 /**
  * Estimate token count from text
  * Uses different ratios for CJK (Chinese, Japanese, Korean) vs Latin text
  * CJK: ~1.5 chars per token, Latin: ~3.5 chars per token
  */
-function estimateTokenCount(text) {
+export function estimateTokenCount(text) {
     if (!text) return 0;
     
     // Count CJK characters (Chinese, Japanese, Korean)
@@ -120,228 +215,989 @@ function estimateTokenCount(text) {
     return cjkTokens + nonCjkTokens;
 }
 
+function countCjkCharacters(text) {
+    if (!text) return 0;
+    const cjkMatches = text.match(/[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/g);
+    return cjkMatches ? cjkMatches.length : 0;
+}
+
+// Generation times above this are treated as bogus (e.g. a paused or restored chat)
+const MAX_GENERATION_MS = 30 * 60 * 1000;
+
+// Buckets for AI messages without a stored model / API, so per-model totals add up to aiMessages
+const UNKNOWN_MODEL = '未知模型';
+const UNKNOWN_PROVIDER = '未知来源';
+
 /**
- * Analyze all chat data and generate statistics
+ * Bump when the summary record layout changes so stale cached summaries are rebuilt
  */
-export function analyzeChats(chatsData, options = {}) {
-    const { startDate, endDate } = options;
-    const start = startDate ? parseLocalDateKey(startDate) : null;
-    const end = endDate ? parseLocalDateKey(endDate) : null;
-    if (end) {
-        end.setHours(23, 59, 59, 999);
+export const SUMMARY_VERSION = 6;
+
+/**
+ * Reduce a fetched chat file to the compact per-message records analyzeChats needs.
+ * Record fields are kept short because summaries are persisted per chat file:
+ * t = timestamp (ms, null if unparseable), u = 1 for user messages,
+ * c = CJK character count, n = other character count,
+ * k = token count, m = model name (AI messages only),
+ * v = generating API / chat completion source from extra.api (AI messages only),
+ * s / a = speaker name / original avatar (AI messages in group chats only),
+ * w / p = swipe count / accepted swipe index, xc / xk = characters / estimated tokens
+ *   of the discarded swipes (AI messages with more than one swipe only),
+ * g = generation time in ms from gen_started / gen_finished, gk = stored extra.token_count
+ *   of that generation (AI messages with valid timestamps only)
+ * Token counts prefer chat.tokenCounts (tokenizer results from countChatTokens),
+ * then the stored extra.token_count, then estimateTokenCount.
+ */
+export function summarizeChat(chat) {
+    const isGroupChat = !!chat.metadata?.group_id;
+    const tokenCounts = chat.tokenCounts || [];
+    const records = chat.messages.map((msg, index) => {
+        const date = parseDate(msg.send_date);
+        const text = msg.mes || '';
+        const cjkCount = countCjkCharacters(text);
+        const record = {
+            t: date ? date.getTime() : null,
+            u: msg.is_user ? 1 : 0,
+            c: cjkCount,
+            n: text.length - cjkCount
+        };
+
+        const storedCount = Number(msg.extra?.token_count);
+        if (Number.isFinite(tokenCounts[index])) {
+            record.k = tokenCounts[index];
+        } else if (!msg.is_user && Number.isFinite(storedCount) && storedCount >= 0) {
+            record.k = storedCount;
+        } else {
+            // Fallback estimation when no tokenizer result or stored token_count is available
+            record.k = estimateTokenCount(text);
+        }
+
+        if (!msg.is_user) {
+            if (msg.extra && msg.extra.model) {
+                record.m = msg.extra.model;
+            }
+            // For chat completions extra.api already holds the source (openai, claude, openrouter...)
+            if (msg.extra && msg.extra.api) {
+                record.v = msg.extra.api;
+            }
+            if (isGroupChat && msg.name) {
+                record.s = msg.name;
+                if (msg.original_avatar) {
+                    record.a = msg.original_avatar;
+                }
+            }
+            const genStarted = parseDate(msg.gen_started);
+            const genFinished = parseDate(msg.gen_finished);
+            if (genStarted && genFinished) {
+                const generationMs = genFinished.getTime() - genStarted.getTime();
+                if (generationMs > 0 && generationMs <= MAX_GENERATION_MS) {
+                    record.g = generationMs;
+                    if (Number.isFinite(storedCount) && storedCount > 0) {
+                        record.gk = storedCount;
+                    }
+                }
+            }
+            if (Array.isArray(msg.swipes) && msg.swipes.length > 1) {
+                const swipeId = Number.isInteger(msg.swipe_id) ? msg.swipe_id : msg.swipes.indexOf(msg.mes);
+                record.w = msg.swipes.length;
+                record.p = Math.max(0, swipeId);
+                record.xc = 0;
+                record.xk = 0;
+                msg.swipes.forEach((swipe, swipeIndex) => {
+                    if (swipeIndex === record.p || typeof swipe !== 'string') return;
+                    record.xc += swipe.length;
+                    record.xk += estimateTokenCount(swipe);
+                });
+            }
+        }
+
+        return record;
+    });
+
+    return {
+        version: SUMMARY_VERSION,
+        accurateTokens: !!chat.tokenCounts,
+        metadata: chat.metadata,
+        records
+    };
+}
+
+function toSummary(chat) {
+    return chat.records ? chat : summarizeChat(chat);
+}
+
+/**
+ * Character (or group) name a summary is counted under in characterStats
+ */
+export function getSummaryCharacterName(summary) {
+    return summary.metadata.character_name || '未知角色';
+}
+
+/**
+ * Stable identity of the character or group a summary belongs to: the avatar file for characters,
+ * group:<id> for groups (names are only labels, two characters may share one)
+ */
+export function getSummarySourceKey(summary) {
+    const { group_id: groupId, avatar_url: avatarUrl } = summary.metadata;
+    if (groupId) return `group:${groupId}`;
+    return avatarUrl || `name:${getSummaryCharacterName(summary)}`;
+}
+
+// Calculate daily duration using interaction-based estimation (speeds come from the duration model,
+// see CONFIG.DURATION_PRESETS; defaults in parentheses)
+// - User messages: estimate typing time (60 chars/min for CJK, 200 chars/min for Latin)
+// - AI messages: estimate reading time (400 chars/min for CJK, 800 chars/min for Latin)
+// - Session gap > 30 min = new session, don't add gap time
+// - Minimum 1 min per session
+
+/**
+ * Fill missing or invalid duration model fields from the default preset
+ * @param {object|null} [model] - Partial duration model (settings.durationModel)
+ */
+export function normalizeDurationModel(model) {
+    const defaults = CONFIG.DURATION_PRESETS.default.model;
+    const normalized = {};
+    Object.keys(defaults).forEach(key => {
+        const value = Number(model?.[key]);
+        normalized[key] = Number.isFinite(value) && value > 0 ? value : defaults[key];
+    });
+    return normalized;
+}
+
+/**
+ * Key of the preset matching a duration model, or 'custom'
+ */
+export function getDurationPresetKey(model) {
+    const normalized = normalizeDurationModel(model);
+    const match = Object.entries(CONFIG.DURATION_PRESETS)
+        .find(([, preset]) => Object.keys(normalized).every(key => preset.model[key] === normalized[key]));
+    return match ? match[0] : 'custom';
+}
+
+/**
+ * Pricing settings with defaults filled in
+ * @param {object|null} [pricing] - { contextTokens, rules: [{ pattern, input, output }] }, prices per million tokens
+ */
+export function normalizePricing(pricing) {
+    const defaults = CONFIG.DEFAULT_PRICING;
+    if (!pricing) {
+        return { contextTokens: defaults.contextTokens, rules: defaults.rules.map(rule => ({ ...rule })) };
+    }
+    const contextTokens = Number(pricing.contextTokens);
+    const rules = (Array.isArray(pricing.rules) ? pricing.rules : [])
+        .map(rule => ({
+            pattern: String(rule?.pattern || '').trim(),
+            input: Math.max(0, Number(rule?.input) || 0),
+            output: Math.max(0, Number(rule?.output) || 0)
+        }))
+        .filter(rule => rule.pattern);
+    return {
+        contextTokens: Number.isFinite(contextTokens) && contextTokens > 0 ? Math.round(contextTokens) : defaults.contextTokens,
+        rules
+    };
+}
+
+/**
+ * Model name -> first matching pricing rule (case-insensitive, * matches anything), or null
+ */
+function createPriceLookup(rules) {
+    const compiled = rules.map(rule => {
+        const source = rule.pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return { rule, regex: new RegExp(`^${source}$`, 'i') };
+    });
+    const cache = new Map();
+    return (model) => {
+        if (!cache.has(model)) {
+            cache.set(model, compiled.find(entry => entry.regex.test(model))?.rule || null);
+        }
+        return cache.get(model);
+    };
+}
+
+// Helper to estimate interaction time for a message
+function estimateInteractionTime(cjkCount, nonCjkCount, isUser, duration) {
+    if (cjkCount + nonCjkCount === 0) return 0.5; // minimum 30 seconds for empty
+
+    if (isUser) {
+        // Typing speed
+        const cjkMins = cjkCount / duration.typingCjkPerMinute;
+        const latinMins = nonCjkCount / duration.typingLatinPerMinute;
+        return Math.max(duration.userMinSeconds / 60, cjkMins + latinMins);
+    } else {
+        // Reading speed
+        const cjkMins = cjkCount / duration.readingCjkPerMinute;
+        const latinMins = nonCjkCount / duration.readingLatinPerMinute;
+        return Math.max(duration.aiMinSeconds / 60, cjkMins + latinMins);
+    }
+}
+
+/**
+ * Activity streaks from daily message counts
+ * The current streak only counts if the last active day is today or yesterday.
+ * @param {object} dailyActivity - Messages per report date key
+ * @param {number} spanDays - Days from first to last message (overview.daysActive)
+ * @param {string} todayKey - Today's report date key
+ */
+function computeStreaks(dailyActivity, spanDays, todayKey) {
+    const days = Object.keys(dailyActivity)
+        .filter(key => dailyActivity[key] > 0)
+        .sort()
+        .map(dateKeyToDayNumber);
+
+    const streaks = {
+        activeDays: days.length,
+        currentStreak: 0,
+        longestStreak: 0,
+        longestStreakStart: null,
+        longestStreakEnd: null,
+        longestGap: 0,
+        longestGapStart: null,
+        longestGapEnd: null,
+        avgActiveDaysPerWeek: spanDays > 0 ? Number((days.length / (spanDays / 7)).toFixed(1)) : 0
+    };
+    if (days.length === 0) return streaks;
+
+    let runStart = days[0];
+    let runLength = 1;
+    const closeRun = (runEnd) => {
+        if (runLength > streaks.longestStreak) {
+            streaks.longestStreak = runLength;
+            streaks.longestStreakStart = dayNumberToDateKey(runStart);
+            streaks.longestStreakEnd = dayNumberToDateKey(runEnd);
+        }
+    };
+
+    for (let i = 1; i < days.length; i++) {
+        const diff = days[i] - days[i - 1];
+        if (diff === 1) {
+            runLength++;
+            continue;
+        }
+        closeRun(days[i - 1]);
+        const gap = diff - 1;
+        if (gap > streaks.longestGap) {
+            streaks.longestGap = gap;
+            streaks.longestGapStart = dayNumberToDateKey(days[i - 1] + 1);
+            streaks.longestGapEnd = dayNumberToDateKey(days[i] - 1);
+        }
+        runStart = days[i];
+        runLength = 1;
+    }
+    const lastDay = days[days.length - 1];
+    closeRun(lastDay);
+
+    if (dateKeyToDayNumber(todayKey) - lastDay <= 1) {
+        streaks.currentStreak = runLength;
+    }
+
+    return streaks;
+}
+
+/**
+ * Estimated minutes for one chat, using the same session rules as dailyDuration
+ * @param {{timestamp: number, minutes: number}[]} entries - Dated messages of the chat
+ * @param {number} sessionGapMs - Gap that starts a new session
+ */
+function estimateChatMinutes(entries, sessionGapMs) {
+    if (!entries.length) return 0;
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+
+    let totalMinutes = 0;
+    let sessionMinutes = 0;
+    for (let i = 0; i < entries.length; i++) {
+        if (i > 0 && entries[i].timestamp - entries[i - 1].timestamp > sessionGapMs) {
+            totalMinutes += Math.max(1, sessionMinutes);
+            sessionMinutes = 0;
+        }
+        sessionMinutes += entries[i].minutes;
     }
-    const hasRange = !!(start || end);
-
-    let totalMessages = 0;
-    let userMessages = 0;
-    let aiMessages = 0;
-    let userCharCount = 0;
-    let aiCharCount = 0;
-    let aiTokens = 0;
-    let maxMessagesInOneChat = 0;
-
-    let firstDate = null;
-    let lastDate = null;
-
-    const modelUsage = {};
-    const dailyActivity = {};
-    const dailyFileCounts = {};
-    const hourlyActivity = new Array(24).fill(0);
-    const characterStats = {}; // 角色消息统计
-    const dailyDuration = {}; // 每日时长统计 (分钟)
-
-    let totalChats = 0;
-
-    chatsData.forEach(chat => {
-        const fileName = chat.metadata.file_name;
-        const characterName = chat.metadata.character_name || '未知角色';
+    totalMinutes += Math.max(1, sessionMinutes);
+
+    return Math.round(totalMinutes);
+}
+
+const SESSION_BUCKETS = [
+    { label: '<5分钟', max: 5 },
+    { label: '5-15分钟', max: 15 },
+    { label: '15-30分钟', max: 30 },
+    { label: '30-60分钟', max: 60 },
+    { label: '1-2小时', max: 120 },
+    { label: '2小时以上', max: Infinity }
+];
+
+/**
+ * Session statistics from per-session durations
+ * @param {number[]} minutes - Duration of each session
+ * @param {object|null} longest - Longest session with its main chat
+ * @param {number} dayCount - Days that have at least one session
+ */
+function summarizeSessions(minutes, longest, dayCount) {
+    const count = minutes.length;
+    const sorted = [...minutes].sort((a, b) => a - b);
+    const middle = Math.floor(count / 2);
+    const median = count === 0 ? 0 : (count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+    const total = minutes.reduce((sum, mins) => sum + mins, 0);
+
+    const counts = SESSION_BUCKETS.map(() => 0);
+    minutes.forEach(mins => {
+        counts[SESSION_BUCKETS.findIndex(bucket => mins < bucket.max)]++;
+    });
+
+    return {
+        count,
+        avgMinutes: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+        medianMinutes: Math.round(median * 10) / 10,
+        perDay: dayCount > 0 ? Math.round((count / dayCount) * 10) / 10 : 0,
+        longest,
+        histogram: {
+            labels: SESSION_BUCKETS.map(bucket => bucket.label),
+            counts
+        }
+    };
+}
+
+function createLatencyCounter() {
+    return { durations: [], timedMs: 0, tokens: 0 };
+}
+
+function percentile(sorted, fraction) {
+    if (!sorted.length) return 0;
+    const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+/**
+ * Latency summary; tokens per second only uses generations with a stored token_count
+ */
+function summarizeLatency(counter) {
+    const sorted = [...counter.durations].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, ms) => sum + ms, 0);
+    return {
+        count: sorted.length,
+        avgMs: sorted.length > 0 ? Math.round(total / sorted.length) : 0,
+        medianMs: Math.round(percentile(sorted, 0.5)),
+        p95Ms: Math.round(percentile(sorted, 0.95)),
+        tokensPerSecond: counter.timedMs > 0 ? Math.round((counter.tokens / (counter.timedMs / 1000)) * 10) / 10 : null
+    };
+}
+
+const SWIPE_POSITION_BUCKETS = 5; // Accepted positions 1..4, then "5+"
+
+function createSwipeCounter() {
+    return { messages: 0, swiped: 0, swipes: 0 };
+}
+
+/**
+ * "This week / this month so far" windows and the same elapsed span one period earlier
+ * Weeks start on Monday. A window covers report days from..to, the last one up to toMs into the day.
+ * @param {object} clock - From createDayClock
+ */
+function getCheckInWindows(clock, now = Date.now()) {
+    const today = clock.locate(now);
+    const weekStart = shiftDateKey(today.dateKey, -getDateKeyWeekday(today.dateKey));
+
+    const monthStart = `${today.dateKey.slice(0, 8)}01`;
+    const prevMonthLastDay = shiftDateKey(monthStart, -1);
+    const prevMonthStart = `${prevMonthLastDay.slice(0, 8)}01`;
+    // Same elapsed time into the previous month, capped at its last day
+    let prevMonthEnd = shiftDateKey(prevMonthStart, dateKeyToDayNumber(today.dateKey) - dateKeyToDayNumber(monthStart));
+    let prevMonthEndMs = today.msOfDay;
+    if (prevMonthEnd > prevMonthLastDay) {
+        prevMonthEnd = prevMonthLastDay;
+        prevMonthEndMs = Infinity;
+    }
+
+    return {
+        week: {
+            current: { from: weekStart, to: today.dateKey, toMs: Infinity },
+            previous: { from: shiftDateKey(weekStart, -7), to: shiftDateKey(today.dateKey, -7), toMs: today.msOfDay }
+        },
+        month: {
+            current: { from: monthStart, to: today.dateKey, toMs: Infinity },
+            previous: { from: prevMonthStart, to: prevMonthEnd, toMs: prevMonthEndMs }
+        }
+    };
+}
+
+/**
+ * Incremental statistics aggregation
+ * Chats are added one at a time (e.g. as they are fetched) and only their compact
+ * summaries are processed, so the raw chat data never has to be held all at once.
+ * Options: startDate / endDate (report date keys) limit the range; datedOnly skips
+ * entries without a parseable send_date (such as chat header lines); durationModel
+ * overrides the speeds used for duration estimation (see normalizeDurationModel);
+ * timeZone / dayStartHour decide which report day a message falls on (see createDayClock);
+ * pricing sets the per-model prices for cost estimation (see normalizePricing).
+ */
+export class StatsAggregator {
+    constructor(options = {}) {
+        this.startDate = isDateKey(options.startDate) ? options.startDate : null;
+        this.endDate = isDateKey(options.endDate) ? options.endDate : null;
+        this.hasRange = !!(this.startDate || this.endDate) || !!options.datedOnly;
+        this.clock = createDayClock({ timeZone: options.timeZone, dayStartHour: options.dayStartHour });
+        this.duration = normalizeDurationModel(options.durationModel);
+        this.sessionGapMs = this.duration.sessionGapMinutes * 60 * 1000;
+        this.pricing = normalizePricing(options.pricing);
+        this.priceOf = createPriceLookup(this.pricing.rules);
+
+        // Totals of every dated day, range or not, for the previous period (see getPreviousPeriod);
+        // an open end is only known from the data bounds once all chats are in
+        this.dayTotals = (this.startDate || this.endDate) ? {} : null;
+
+        // Check-in strip: messages this week / month so far vs. the same span before (ignores the range)
+        this.checkInWindows = getCheckInWindows(this.clock);
+        this.checkIn = {
+            week: { current: 0, previous: 0 },
+            month: { current: 0, previous: 0 }
+        };
+
+        this.totalMessages = 0;
+        this.userMessages = 0;
+        this.aiMessages = 0;
+        this.userCharCount = 0;
+        this.aiCharCount = 0;
+        this.userTokens = 0;
+        this.aiTokens = 0;
+        this.maxMessagesInOneChat = 0;
+        this.totalChats = 0;
+
+        this.firstTs = null;
+        this.lastTs = null;
+        // Bounds over all dated messages, regardless of range (for the range picker)
+        this.boundsMinTs = null;
+        this.boundsMaxTs = null;
+
+        this.modelUsage = {};
+        this.providerUsage = {};
+        this.providerModelUsage = {}; // 来源 -> 模型 -> 消息数
+        this.dailyModelUsage = {}; // 日期 -> 模型 -> 消息数 (用于模型使用趋势)
+        this.dailyActivity = {};
+        this.dailyAiTokens = {};
+        this.dailyNightActivity = {}; // 日期 -> 深夜 (0 点至 NIGHT_END_HOUR) 消息数
+        this.dailyFileCounts = {};
+        this.hourlyActivity = new Array(24).fill(0);
+        // 星期 × 小时矩阵 (周一为第 0 行)
+        this.weekdayHourMessages = Array.from({ length: 7 }, () => new Array(24).fill(0));
+        this.weekdayHourMinutes = Array.from({ length: 7 }, () => new Array(24).fill(0));
+        this.characterStats = {}; // 角色消息统计
+        this.characterSources = {}; // 按角色头像 / 群聊 ID 的消息统计 (同名角色分开计)
+        this.memberStats = {}; // 群聊成员发言统计 (按头像/名称)
+        this.dailyMessages = {}; // 每日消息 (用于时长推算)
+        this.chatStats = []; // 单个聊天文件统计 (用于明细表)
+        // 生成耗时统计 (gen_started / gen_finished)
+        this.latency = createLatencyCounter();
+        this.latencyByModel = {};
+        this.latencyByCharacter = {};
+        this.dailyLatency = {};
+        // 预估花费 (按模型定价)
+        this.costs = {
+            total: 0,
+            pricedMessages: 0,
+            unpricedMessages: 0,
+            unpricedModels: {},
+            byModel: {},
+            byCharacter: {},
+            daily: {}
+        };
+        // 重新生成 (swipe) 统计，仅统计 AI 消息
+        this.swipes = {
+            ...createSwipeCounter(),
+            discardedChars: 0,
+            discardedTokens: 0,
+            acceptedPositions: new Array(SWIPE_POSITION_BUCKETS).fill(0),
+            byModel: {},
+            byCharacter: {}
+        };
+    }
+
+    /**
+     * Add one chat (raw or already summarized)
+     * @returns {object} The chat's summary
+     */
+    add(chat) {
+        const summary = toSummary(chat);
+        const fileName = summary.metadata.file_name;
+        const characterName = getSummaryCharacterName(summary);
+        const sourceKey = getSummarySourceKey(summary);
         let messageCountInRange = 0;
+        const chatTotals = { userChars: 0, aiChars: 0, firstTs: null, lastTs: null, timed: [] };
+
+        let contextTokens = 0; // Tokens of the chat history before the current message
 
-        chat.messages.forEach(msg => {
-            const date = parseDate(msg.send_date);
-            const inRange = !hasRange || (date && (!start || date >= start) && (!end || date <= end));
+        summary.records.forEach(record => {
+            const ts = record.t;
+            const contextBefore = contextTokens;
+            contextTokens += record.k || 0;
+            if (ts !== null) {
+                if (this.boundsMinTs === null || ts < this.boundsMinTs) this.boundsMinTs = ts;
+                if (this.boundsMaxTs === null || ts > this.boundsMaxTs) this.boundsMaxTs = ts;
+            }
+
+            const located = ts !== null ? this.clock.locate(ts) : null;
+            const dateKey = located ? located.dateKey : null;
+            if (located) {
+                this.countCheckIn(located);
+                if (this.dayTotals) {
+                    this.countDayTotal(dateKey, record);
+                }
+            }
+
+            const inRange = !this.hasRange || (located !== null
+                && (this.startDate === null || dateKey >= this.startDate)
+                && (this.endDate === null || dateKey <= this.endDate));
             if (!inRange) return;
 
             messageCountInRange++;
-            totalMessages++;
+            this.totalMessages++;
 
-            if (date) {
-                if (!firstDate || date < firstDate) firstDate = date;
-                if (!lastDate || date > lastDate) lastDate = date;
+            const charCount = record.c + record.n;
 
-                const dateKey = formatLocalDateKey(date);
-                dailyActivity[dateKey] = (dailyActivity[dateKey] || 0) + 1;
+            if (ts !== null) {
+                if (this.firstTs === null || ts < this.firstTs) this.firstTs = ts;
+                if (this.lastTs === null || ts > this.lastTs) this.lastTs = ts;
+                if (chatTotals.firstTs === null || ts < chatTotals.firstTs) chatTotals.firstTs = ts;
+                if (chatTotals.lastTs === null || ts > chatTotals.lastTs) chatTotals.lastTs = ts;
 
-                if (!dailyFileCounts[dateKey]) {
-                    dailyFileCounts[dateKey] = new Set();
+                this.dailyActivity[dateKey] = (this.dailyActivity[dateKey] || 0) + 1;
+
+                if (!this.dailyFileCounts[dateKey]) {
+                    this.dailyFileCounts[dateKey] = new Set();
                 }
-                dailyFileCounts[dateKey].add(fileName);
+                this.dailyFileCounts[dateKey].add(fileName);
 
-                const hour = date.getHours();
+                const minutes = estimateInteractionTime(record.c, record.n, !!record.u, this.duration);
+                const hour = located.hour;
                 if (hour >= 0 && hour < 24) {
-                    hourlyActivity[hour]++;
+                    this.hourlyActivity[hour]++;
+                    // Weekday of the report day, so a 02:00 message stays on the previous evening's row
+                    const weekday = getDateKeyWeekday(dateKey);
+                    this.weekdayHourMessages[weekday][hour]++;
+                    this.weekdayHourMinutes[weekday][hour] += minutes;
+                    if (hour < CONFIG.NIGHT_END_HOUR) {
+                        this.dailyNightActivity[dateKey] = (this.dailyNightActivity[dateKey] || 0) + 1;
+                    }
                 }
+
+                if (!this.dailyMessages[dateKey]) {
+                    this.dailyMessages[dateKey] = [];
+                }
+                this.dailyMessages[dateKey].push({
+                    timestamp: ts,
+                    minutes,
+                    fileName,
+                    characterName,
+                    sourceKey
+                });
+                chatTotals.timed.push({ timestamp: ts, minutes });
             }
 
-            const text = msg.mes || '';
-            
-            if (msg.is_user) {
-                userMessages++;
-                userCharCount += text.length;
+            if (record.u) {
+                this.userMessages++;
+                this.userCharCount += charCount;
+                this.userTokens += record.k || 0;
+                chatTotals.userChars += charCount;
             } else {
-                aiMessages++;
-                aiCharCount += text.length;
-                const tokenCountRaw = msg.extra?.token_count;
-                const tokenCount = Number(tokenCountRaw);
-                if (Number.isFinite(tokenCount) && tokenCount >= 0) {
-                    aiTokens += tokenCount;
-                } else {
-                    // Fallback estimation for AI messages without token_count
-                    aiTokens += estimateTokenCount(text);
+                this.aiMessages++;
+                this.aiCharCount += charCount;
+                chatTotals.aiChars += charCount;
+                this.aiTokens += record.k || 0;
+                if (dateKey !== null) {
+                    this.dailyAiTokens[dateKey] = (this.dailyAiTokens[dateKey] || 0) + (record.k || 0);
                 }
-                
-                if (msg.extra && msg.extra.model) {
-                    const model = msg.extra.model;
-                    modelUsage[model] = (modelUsage[model] || 0) + 1;
+
+                const model = record.m || UNKNOWN_MODEL;
+                const provider = record.v || UNKNOWN_PROVIDER;
+                this.modelUsage[model] = (this.modelUsage[model] || 0) + 1;
+                this.providerUsage[provider] = (this.providerUsage[provider] || 0) + 1;
+                if (!this.providerModelUsage[provider]) {
+                    this.providerModelUsage[provider] = {};
+                }
+                const providerModels = this.providerModelUsage[provider];
+                providerModels[model] = (providerModels[model] || 0) + 1;
+                if (dateKey !== null) {
+                    if (!this.dailyModelUsage[dateKey]) {
+                        this.dailyModelUsage[dateKey] = {};
+                    }
+                    const dayModels = this.dailyModelUsage[dateKey];
+                    dayModels[model] = (dayModels[model] || 0) + 1;
+                }
+
+                this.countSwipes(record, characterName);
+                this.countCost(record, characterName, dateKey, contextBefore);
+                if (record.g) {
+                    this.countLatency(record, characterName, dateKey);
+                }
+
+                if (record.s) {
+                    const memberKey = record.a || record.s;
+                    if (!this.memberStats[memberKey]) {
+                        this.memberStats[memberKey] = { name: record.s, avatar: record.a || null, messages: 0, chars: 0 };
+                    }
+                    this.memberStats[memberKey].messages++;
+                    this.memberStats[memberKey].chars += charCount;
                 }
             }
         });
 
         if (messageCountInRange > 0) {
-            totalChats++;
-            characterStats[characterName] = (characterStats[characterName] || 0) + messageCountInRange;
+            this.totalChats++;
+            this.characterStats[characterName] = (this.characterStats[characterName] || 0) + messageCountInRange;
+            if (!this.characterSources[sourceKey]) {
+                this.characterSources[sourceKey] = { name: characterName, isGroup: !!summary.metadata.group_id, messages: 0 };
+            }
+            this.characterSources[sourceKey].messages += messageCountInRange;
 
-            if (messageCountInRange > maxMessagesInOneChat) {
-                maxMessagesInOneChat = messageCountInRange;
+            if (messageCountInRange > this.maxMessagesInOneChat) {
+                this.maxMessagesInOneChat = messageCountInRange;
             }
+
+            this.chatStats.push({
+                fileName,
+                characterName,
+                sourceKey,
+                avatarUrl: summary.metadata.avatar_url || null,
+                groupId: summary.metadata.group_id || null,
+                messages: messageCountInRange,
+                userChars: chatTotals.userChars,
+                aiChars: chatTotals.aiChars,
+                firstDate: chatTotals.firstTs !== null ? this.clock.dayKey(chatTotals.firstTs) : null,
+                lastDate: chatTotals.lastTs !== null ? this.clock.dayKey(chatTotals.lastTs) : null,
+                minutes: estimateChatMinutes(chatTotals.timed, this.sessionGapMs)
+            });
         }
-    });
 
-    // Calculate daily duration using interaction-based estimation
-    // - User messages: estimate typing time (60 chars/min for CJK, 200 chars/min for Latin)
-    // - AI messages: estimate reading time (400 chars/min for CJK, 800 chars/min for Latin)
-    // - Session gap > 30 min = new session, don't add gap time
-    // - Minimum 1 min per session
-    const SESSION_GAP_MS = 30 * 60 * 1000;
-    
-    // Helper to estimate interaction time for a message
-    const estimateInteractionTime = (text, isUser) => {
-        if (!text) return 0.5; // minimum 30 seconds for empty
-        
-        const cjkRegex = /[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/g;
-        const cjkMatches = text.match(cjkRegex);
-        const cjkCount = cjkMatches ? cjkMatches.length : 0;
-        const nonCjkCount = text.length - cjkCount;
-        
-        if (isUser) {
-            // Typing speed: 60 CJK chars/min, 200 Latin chars/min
-            const cjkMins = cjkCount / 60;
-            const latinMins = nonCjkCount / 200;
-            return Math.max(0.25, cjkMins + latinMins); // min 15 seconds
-        } else {
-            // Reading speed: 400 CJK chars/min, 800 Latin chars/min
-            const cjkMins = cjkCount / 400;
-            const latinMins = nonCjkCount / 800;
-            return Math.max(0.1, cjkMins + latinMins); // min 6 seconds
+        return summary;
+    }
+
+    countLatency(record, characterName, dateKey) {
+        const model = record.m || UNKNOWN_MODEL;
+        const counters = [
+            this.latency,
+            this.latencyByModel[model] || (this.latencyByModel[model] = createLatencyCounter()),
+            this.latencyByCharacter[characterName] || (this.latencyByCharacter[characterName] = createLatencyCounter())
+        ];
+        counters.forEach(counter => {
+            counter.durations.push(record.g);
+            if (record.gk) {
+                counter.timedMs += record.g;
+                counter.tokens += record.gk;
+            }
+        });
+
+        if (dateKey !== null) {
+            const day = this.dailyLatency[dateKey] || (this.dailyLatency[dateKey] = { totalMs: 0, count: 0 });
+            day.totalMs += record.g;
+            day.count++;
         }
-    };
-    
-    // Collect messages with timestamps and text for duration calculation
-    const dailyMessages = {};
-    chatsData.forEach(chat => {
-        chat.messages.forEach(msg => {
-            const date = parseDate(msg.send_date);
-            if (!date) return;
-            
-            const inRange = !hasRange || ((!start || date >= start) && (!end || date <= end));
-            if (!inRange) return;
-            
-            const dateKey = formatLocalDateKey(date);
-            if (!dailyMessages[dateKey]) {
-                dailyMessages[dateKey] = [];
+    }
+
+    countCost(record, characterName, dateKey, contextBefore) {
+        const costs = this.costs;
+        const model = record.m || UNKNOWN_MODEL;
+        const rule = record.m ? this.priceOf(record.m) : null;
+        if (!rule) {
+            costs.unpricedMessages++;
+            costs.unpricedModels[model] = (costs.unpricedModels[model] || 0) + 1;
+            return;
+        }
+
+        // Each generation (discarded swipes included) re-sends the history, up to the context size
+        const inputTokens = Math.min(contextBefore, this.pricing.contextTokens) * (record.w || 1);
+        const outputTokens = (record.k || 0) + (record.xk || 0);
+        const cost = (inputTokens * rule.input + outputTokens * rule.output) / 1e6;
+
+        costs.total += cost;
+        costs.pricedMessages++;
+        if (!costs.byModel[model]) {
+            costs.byModel[model] = { cost: 0, messages: 0, inputTokens: 0, outputTokens: 0 };
+        }
+        const modelCost = costs.byModel[model];
+        modelCost.cost += cost;
+        modelCost.messages++;
+        modelCost.inputTokens += inputTokens;
+        modelCost.outputTokens += outputTokens;
+        costs.byCharacter[characterName] = (costs.byCharacter[characterName] || 0) + cost;
+        if (dateKey !== null) {
+            costs.daily[dateKey] = (costs.daily[dateKey] || 0) + cost;
+        }
+    }
+
+    countSwipes(record, characterName) {
+        const swipeCount = record.w || 1;
+        const model = record.m || UNKNOWN_MODEL;
+        const counters = [
+            this.swipes,
+            this.swipes.byModel[model] || (this.swipes.byModel[model] = createSwipeCounter()),
+            this.swipes.byCharacter[characterName] || (this.swipes.byCharacter[characterName] = createSwipeCounter())
+        ];
+        counters.forEach(counter => {
+            counter.messages++;
+            counter.swipes += swipeCount;
+            if (swipeCount > 1) counter.swiped++;
+        });
+
+        if (swipeCount > 1) {
+            this.swipes.discardedChars += record.xc || 0;
+            this.swipes.discardedTokens += record.xk || 0;
+            this.swipes.acceptedPositions[Math.min(record.p || 0, SWIPE_POSITION_BUCKETS - 1)]++;
+        }
+    }
+
+    countCheckIn(located) {
+        const { dateKey, msOfDay } = located;
+        for (const [period, windows] of Object.entries(this.checkInWindows)) {
+            for (const which of ['current', 'previous']) {
+                const { from, to, toMs } = windows[which];
+                if (dateKey >= from && (dateKey < to || (dateKey === to && msOfDay <= toMs))) {
+                    this.checkIn[period][which]++;
+                }
             }
-            dailyMessages[dateKey].push({
-                timestamp: date.getTime(),
-                text: msg.mes || '',
-                isUser: !!msg.is_user
+        }
+    }
+
+    countDayTotal(dateKey, record) {
+        if (!this.dayTotals[dateKey]) {
+            this.dayTotals[dateKey] = { totalMessages: 0, userMessages: 0, aiMessages: 0, userCharCount: 0, aiCharCount: 0, userTokens: 0, aiTokens: 0 };
+        }
+        const day = this.dayTotals[dateKey];
+        const charCount = record.c + record.n;
+        day.totalMessages++;
+        if (record.u) {
+            day.userMessages++;
+            day.userCharCount += charCount;
+            day.userTokens += record.k || 0;
+        } else {
+            day.aiMessages++;
+            day.aiCharCount += charCount;
+            day.aiTokens += record.k || 0;
+        }
+    }
+
+    /**
+     * Same number of days immediately before the selected range; an open end is filled from the data bounds
+     * @returns {object|null} Null without a range or when the range holds no days
+     */
+    getPreviousPeriod() {
+        if (!this.dayTotals) return null;
+        const bounds = this.getDateBounds();
+        const start = this.startDate || bounds.min;
+        const end = this.endDate || bounds.max;
+        if (!start || !end || start > end) return null;
+
+        const dayCount = dateKeyToDayNumber(end) - dateKeyToDayNumber(start) + 1;
+        const previous = {
+            start: shiftDateKey(start, -dayCount),
+            end: shiftDateKey(start, -1),
+            totalMessages: 0,
+            userMessages: 0,
+            aiMessages: 0,
+            userCharCount: 0,
+            aiCharCount: 0,
+            userTokens: 0,
+            aiTokens: 0
+        };
+        Object.entries(this.dayTotals).forEach(([dateKey, day]) => {
+            if (dateKey < previous.start || dateKey > previous.end) return;
+            Object.keys(day).forEach(field => {
+                previous[field] += day[field];
             });
         });
-    });
-    
-    for (const [dayKey, messages] of Object.entries(dailyMessages)) {
-        if (!messages.length) continue;
-        messages.sort((a, b) => a.timestamp - b.timestamp);
-        
-        let totalMinutes = 0;
-        let sessionMinutes = 0;
-        let prevTimestamp = messages[0].timestamp;
-        
-        for (let i = 0; i < messages.length; i++) {
-            const msg = messages[i];
-            const gap = msg.timestamp - prevTimestamp;
+        return previous;
+    }
+
+    /**
+     * First/last report date keys across all added chats (for the range picker)
+     */
+    getDateBounds() {
+        return {
+            min: this.boundsMinTs !== null ? this.clock.dayKey(this.boundsMinTs) : '',
+            max: this.boundsMaxTs !== null ? this.clock.dayKey(this.boundsMaxTs) : ''
+        };
+    }
+
+    /**
+     * Produce the statistics object
+     */
+    finalize() {
+        const dailyDuration = {}; // 每日时长统计 (分钟)
+        const sessionMinutes = []; // 每个会话的时长 (分钟)
+        let longestSession = null;
+        // Wall-clock mode: real elapsed time between the messages of each session
+        const dailyWallClock = {};
+        const wallClockSessionMinutes = [];
+        let longestWallClockSession = null;
+
+        for (const [dayKey, messages] of Object.entries(this.dailyMessages)) {
+            if (!messages.length) continue;
+            messages.sort((a, b) => a.timestamp - b.timestamp);
             
-            // If gap > 30 min, start new session
-            if (i > 0 && gap > SESSION_GAP_MS) {
-                // Add previous session (min 1 minute per session)
-                totalMinutes += Math.max(1, sessionMinutes);
-                sessionMinutes = 0;
+            let totalMinutes = 0;
+            let wallClockMinutes = 0;
+            let session = null;
+
+            const describeSession = (minutes) => {
+                // Attribute the session to the chat with the most messages in it
+                const [mainChat] = [...session.chats.values()].sort((a, b) => b.count - a.count);
+                return {
+                    date: dayKey,
+                    start: session.start,
+                    end: session.end,
+                    minutes: Math.round(minutes * 10) / 10,
+                    messages: session.messages,
+                    fileName: mainChat.fileName,
+                    characterName: mainChat.characterName,
+                    sourceKey: mainChat.sourceKey
+                };
+            };
+
+            const closeSession = () => {
+                // Min 1 minute per session
+                const minutes = Math.max(1, session.minutes);
+                totalMinutes += minutes;
+                sessionMinutes.push(minutes);
+                if (!longestSession || minutes > longestSession.minutes) {
+                    longestSession = describeSession(minutes);
+                }
+
+                // Gaps inside a session never exceed the session gap, so first-to-last is the elapsed time;
+                // the first message's estimate covers the time spent before it was sent
+                const wallMinutes = Math.max(1, (session.end - session.start) / 60000 + session.firstMinutes);
+                wallClockMinutes += wallMinutes;
+                wallClockSessionMinutes.push(wallMinutes);
+                if (!longestWallClockSession || wallMinutes > longestWallClockSession.minutes) {
+                    longestWallClockSession = describeSession(wallMinutes);
+                }
+            };
+            
+            for (const msg of messages) {
+                // If gap > session gap, start new session
+                if (session && msg.timestamp - session.end > this.sessionGapMs) {
+                    closeSession();
+                    session = null;
+                }
+                if (!session) {
+                    session = { start: msg.timestamp, end: msg.timestamp, minutes: 0, firstMinutes: msg.minutes, messages: 0, chats: new Map() };
+                }
+                
+                // Add interaction time for this message
+                session.minutes += msg.minutes;
+                session.end = msg.timestamp;
+                session.messages++;
+                const chatKey = `${msg.sourceKey}::${msg.fileName}`;
+                const chat = session.chats.get(chatKey) || { fileName: msg.fileName, characterName: msg.characterName, sourceKey: msg.sourceKey, count: 0 };
+                chat.count++;
+                session.chats.set(chatKey, chat);
             }
             
-            // Add interaction time for this message
-            sessionMinutes += estimateInteractionTime(msg.text, msg.isUser);
-            prevTimestamp = msg.timestamp;
+            // Add last session
+            closeSession();
+            
+            dailyDuration[dayKey] = Math.round(totalMinutes);
+            dailyWallClock[dayKey] = Math.round(wallClockMinutes);
         }
-        
-        // Add last session
-        totalMinutes += Math.max(1, sessionMinutes);
-        
-        dailyDuration[dayKey] = Math.round(totalMinutes);
-    }
 
-    // Calculate user tokens: Chinese ~1.5 chars per token
-    const userTokens = Math.ceil(userCharCount / 1.5);
+        const { totalMessages, userMessages, aiMessages, userCharCount, aiCharCount, totalChats } = this;
+        const previous = this.getPreviousPeriod();
 
-    // Convert daily file counts from Sets to numbers
-    let dailyFileCountsObj = {};
-    for (const [date, fileSet] of Object.entries(dailyFileCounts)) {
-        dailyFileCountsObj[date] = fileSet.size;
-    }
+        // Convert daily file counts from Sets to numbers
+        let dailyFileCountsObj = {};
+        for (const [date, fileSet] of Object.entries(this.dailyFileCounts)) {
+            dailyFileCountsObj[date] = fileSet.size;
+        }
 
-    const avgMessagesPerChat = totalChats > 0 ? Math.round(totalMessages / totalChats) : 0;
-    const dayMs = 24 * 60 * 60 * 1000;
-    const firstDay = firstDate ? new Date(firstDate.getFullYear(), firstDate.getMonth(), firstDate.getDate()) : null;
-    const lastDay = lastDate ? new Date(lastDate.getFullYear(), lastDate.getMonth(), lastDate.getDate()) : null;
-    const daysActive = firstDay && lastDay ? Math.floor((lastDay - firstDay) / dayMs) + 1 : 0;
+        const firstDateKey = this.firstTs !== null ? this.clock.dayKey(this.firstTs) : null;
+        const lastDateKey = this.lastTs !== null ? this.clock.dayKey(this.lastTs) : null;
+        const avgMessagesPerChat = totalChats > 0 ? Math.round(totalMessages / totalChats) : 0;
+        const daysActive = firstDateKey && lastDateKey ? dateKeyToDayNumber(lastDateKey) - dateKeyToDayNumber(firstDateKey) + 1 : 0;
+        // Locale display of a report day (the key is already in the report time zone)
+        const formatDateKey = (dateKey) => new Date(dateKeyToDayNumber(dateKey) * DAY_MS).toLocaleDateString(undefined, { timeZone: 'UTC' });
+        const todayKey = this.clock.dayKey(Date.now());
 
-    // Calculate total duration in minutes
-    const totalDurationMinutes = Object.values(dailyDuration).reduce((sum, mins) => sum + mins, 0);
+        // Calculate total duration in minutes
+        const totalDurationMinutes = Object.values(dailyDuration).reduce((sum, mins) => sum + mins, 0);
 
-    return {
-        overview: {
-            totalMessages,
-            userMessages,
-            aiMessages,
-            userCharCount,
-            aiCharCount,
-            avgMessagesPerChat,
-            maxMessagesInOneChat,
-            ratio: userMessages > 0 ? (aiMessages / userMessages).toFixed(2) : 0,
-            firstDate: firstDate ? firstDate.toLocaleDateString() : 'N/A',
-            lastDate: lastDate ? lastDate.toLocaleDateString() : 'N/A',
-            firstDateISO: firstDate ? formatLocalDateKey(firstDate) : null,
-            lastDateISO: lastDate ? formatLocalDateKey(lastDate) : null,
-            daysActive,
-            totalDurationMinutes
-        },
-        tokens: {
-            ai: aiTokens,
-            user: userTokens
-        },
-        models: modelUsage,
-        dailyActivity,
-        dailyFileCounts: dailyFileCountsObj,
-        dailyDuration,
-        hourlyActivity,
-        characterStats
-    };
+        return {
+            overview: {
+                totalMessages,
+                userMessages,
+                aiMessages,
+                userCharCount,
+                aiCharCount,
+                avgMessagesPerChat,
+                maxMessagesInOneChat: this.maxMessagesInOneChat,
+                ratio: userMessages > 0 ? (aiMessages / userMessages).toFixed(2) : 0,
+                firstDate: firstDateKey ? formatDateKey(firstDateKey) : 'N/A',
+                lastDate: lastDateKey ? formatDateKey(lastDateKey) : 'N/A',
+                firstDateISO: firstDateKey,
+                lastDateISO: lastDateKey,
+                daysActive,
+                totalDurationMinutes
+            },
+            tokens: {
+                ai: this.aiTokens,
+                user: this.userTokens
+            },
+            durationModel: this.duration,
+            clock: { timeZone: this.clock.timeZone, dayStartHour: this.clock.dayStartHour },
+            pricing: this.pricing,
+            costs: this.costs,
+            models: this.modelUsage,
+            providers: this.providerUsage,
+            providerModels: this.providerModelUsage,
+            dailyModelUsage: this.dailyModelUsage,
+            previousPeriod: previous ? {
+                start: previous.start,
+                end: previous.end,
+                totalMessages: previous.totalMessages,
+                userMessages: previous.userMessages,
+                aiMessages: previous.aiMessages,
+                userCharCount: previous.userCharCount,
+                aiCharCount: previous.aiCharCount,
+                tokens: { user: previous.userTokens, ai: previous.aiTokens },
+                ratio: previous.userMessages > 0 ? (previous.aiMessages / previous.userMessages).toFixed(2) : 0
+            } : null,
+            checkIn: {
+                asOf: todayKey,
+                ...this.checkIn
+            },
+            streaks: computeStreaks(this.dailyActivity, daysActive, todayKey),
+            sessions: summarizeSessions(sessionMinutes, longestSession, Object.keys(dailyDuration).length),
+            wallClock: {
+                totalMinutes: Object.values(dailyWallClock).reduce((sum, mins) => sum + mins, 0),
+                daily: dailyWallClock,
+                sessions: summarizeSessions(wallClockSessionMinutes, longestWallClockSession, Object.keys(dailyWallClock).length)
+            },
+            dailyActivity: this.dailyActivity,
+            dailyAiTokens: this.dailyAiTokens,
+            dailyNightActivity: this.dailyNightActivity,
+            dailyFileCounts: dailyFileCountsObj,
+            dailyDuration,
+            hourlyActivity: this.hourlyActivity,
+            weekdayHourActivity: {
+                messages: this.weekdayHourMessages,
+                minutes: this.weekdayHourMinutes.map(row => row.map(mins => Math.round(mins * 10) / 10))
+            },
+            characterStats: this.characterStats,
+            characterSources: this.characterSources,
+            memberStats: this.memberStats,
+            chatStats: this.chatStats,
+            swipes: this.swipes,
+            latency: {
+                overall: summarizeLatency(this.latency),
+                byModel: Object.fromEntries(Object.entries(this.latencyByModel).map(([model, counter]) => [model, summarizeLatency(counter)])),
+                byCharacter: Object.fromEntries(Object.entries(this.latencyByCharacter).map(([name, counter]) => [name, summarizeLatency(counter)])),
+                daily: Object.fromEntries(Object.entries(this.dailyLatency).map(([date, day]) => [date, Math.round(day.totalMs / day.count)]))
+            }
+        };
+    }
+}
+
+/**
+ * Analyze all chat data and generate statistics
+ * Accepts raw chats ({ metadata, messages }) and/or summaries from summarizeChat
+ */
+export function analyzeChats(chatsData, options = {}) {
+    const aggregator = new StatsAggregator(options);
+    chatsData.forEach(chat => aggregator.add(chat));
+    return aggregator.finalize();
 }
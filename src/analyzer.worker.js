@@ -0,0 +1,58 @@
+/**
+ * Web Worker: summarizes chats as they are fetched and aggregates statistics
+ * off the main thread. Driven by AnalysisSession (analysis.js).
+ */
+import { StatsAggregator, getSummarySourceKey } from './analyzer.js';
+import { saveSummaries } from './cache.js';
+
+let aggregator = null;
+let freshSummaries = [];
+let sessionOptions = {};
+let retainedSummaries = null; // Kept after finish for drill-down and comparisons
+
+self.onmessage = async (event) => {
+    const { type, requestId } = event.data;
+
+    try {
+        if (type === 'start') {
+            sessionOptions = event.data.options || {};
+            aggregator = new StatsAggregator(sessionOptions);
+            freshSummaries = [];
+            retainedSummaries = sessionOptions.retainSummaries ? [] : null;
+        } else if (type === 'add') {
+            const { chat } = event.data;
+            const summary = aggregator.add(chat);
+            if (!chat.records) {
+                freshSummaries.push(summary);
+            }
+            if (retainedSummaries) {
+                retainedSummaries.push(summary);
+            }
+        } else if (type === 'finish') {
+            // Persist summaries of downloaded chats for the next incremental refresh
+            await saveSummaries(freshSummaries);
+            self.postMessage({
+                type: 'result',
+                stats: aggregator.finalize(),
+                dateBounds: aggregator.getDateBounds(),
+                fetchedCount: freshSummaries.length
+            });
+            aggregator = null;
+            freshSummaries = [];
+        } else if (type === 'reanalyze') {
+            const { sourceKey, options } = event.data;
+            const subset = new StatsAggregator({ ...sessionOptions, ...options });
+            (retainedSummaries || [])
+                .filter(summary => sourceKey === null || getSummarySourceKey(summary) === sourceKey)
+                .forEach(summary => subset.add(summary));
+            self.postMessage({
+                type: 'subset',
+                requestId,
+                stats: subset.finalize(),
+                dateBounds: subset.getDateBounds()
+            });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', requestId, message: error?.message || String(error) });
+    }
+};
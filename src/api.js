@@ -2,6 +2,9 @@
  * API calls to SillyTavern backend
  */
 import { Logger } from './logger.js';
+import { CONFIG } from './config.js';
+import { estimateTokenCount } from './analyzer.js';
+import { getTokenCountKey, getCachedTokenCounts, saveTokenCounts } from './cache.js';
 
 const logger = new Logger('Stats-API');
 
@@ -18,239 +21,577 @@ function normalizeMessages(payload) {
     return [];
 }
 
+function isAbortError(error) {
+    return error?.name === 'AbortError' || error?.message === 'Operation cancelled';
+}
+
+function throwIfAborted(abortSignal) {
+    if (abortSignal?.aborted) {
+        throw new Error('Operation cancelled');
+    }
+}
+
+function delay(ms, abortSignal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Operation cancelled'));
+        };
+        // Detach from the run's signal once the wait is over, so backoffs do not pile up listeners
+        const timer = setTimeout(() => {
+            abortSignal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        abortSignal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Shared request scheduler for chat scans
+ * Limits concurrent requests, retries 5xx/network errors with exponential backoff
+ * and records the chat files that still failed after all retries.
+ */
+export class FetchScheduler {
+    constructor(abortSignal, options = {}) {
+        this.abortSignal = abortSignal;
+        this.concurrency = Math.max(1, Math.floor(Number(options.concurrency) || CONFIG.FETCH_CONCURRENCY));
+        this.maxRetries = options.maxRetries ?? CONFIG.FETCH_MAX_RETRIES;
+        this.active = 0;
+        this.queue = [];
+        this.failures = [];
+    }
+
+    /**
+     * Run a task once a concurrency slot is free
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * POST a JSON body and parse the JSON response, retrying transient failures
+     */
+    postJson(url, body) {
+        const context = globalThis.SillyTavern.getContext();
+
+        return this.run(async () => {
+            for (let attempt = 0; ; attempt++) {
+                throwIfAborted(this.abortSignal);
+                const retryDelay = CONFIG.FETCH_RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+
+                let response;
+                try {
+                    response = await fetch(url, {
+                        method: 'POST',
+                        headers: context.getRequestHeaders(),
+                        body: JSON.stringify(body),
+                        signal: this.abortSignal
+                    });
+                } catch (error) {
+                    if (isAbortError(error) || attempt >= this.maxRetries) throw error;
+                    logger.warn(`Network error on ${url}, retrying in ${retryDelay}ms:`, error);
+                    await delay(retryDelay, this.abortSignal);
+                    continue;
+                }
+
+                if (response.ok) {
+                    return response.json();
+                }
+                if (response.status >= 500 && attempt < this.maxRetries) {
+                    logger.warn(`${url} returned ${response.status}, retrying in ${retryDelay}ms`);
+                    await delay(retryDelay, this.abortSignal);
+                    continue;
+                }
+                throw new Error(`Request to ${url} failed: ${response.status}`);
+            }
+        });
+    }
+
+    recordFailure(chatMeta, error) {
+        this.failures.push({
+            file_name: chatMeta.file_name || null,
+            character_name: chatMeta.character_name || null,
+            error: error?.message || String(error)
+        });
+    }
+}
+
+/**
+ * Pick the SillyTavern tokenizer endpoint matching a message's model/API
+ * The openai endpoint maps model names (claude, llama3, mistral, gemma, ...) to their tokenizers server-side.
+ * @returns {string|null} Endpoint URL, or null when the model is unknown
+ */
+function resolveTokenizerEndpoint(model, api) {
+    if (api === 'novel') {
+        return '/api/tokenizers/nerdstash_v2/encode';
+    }
+    if (!model) {
+        return null;
+    }
+    return `/api/tokenizers/openai/encode?model=${encodeURIComponent(model)}`;
+}
+
 /**
  * Count tokens for given text using SillyTavern's tokenizer API
  * @param {string} text - Text to tokenize
+ * @param {object} [options]
+ * @param {string} [options.model] - Model whose tokenizer should be used
+ * @param {string} [options.api] - API the model was used through (extra.api)
  * @returns {Promise<number>} Token count
  */
-export async function countTokens(text) {
+export async function countTokens(text, options = {}) {
     if (!text) return 0;
     
     const context = globalThis.SillyTavern.getContext();
+    const endpoint = resolveTokenizerEndpoint(options.model, options.api);
     
     try {
-        // Try to use the tokenizer API
-        const response = await fetch('/api/tokenizers/openai/encode?model=gpt-4', {
-            method: 'POST',
-            headers: context.getRequestHeaders(),
-            body: JSON.stringify({ text: text })
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            return result.count || result.ids?.length || 0;
+        if (endpoint) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: context.getRequestHeaders(),
+                body: JSON.stringify({ text: text })
+            });
+
+            if (response.ok) {
+                const result = await response.json();
+                return result.count || result.ids?.length || 0;
+            }
+        } else if (typeof context.getTokenCountAsync === 'function') {
+            // Unknown model: use the currently selected tokenizer
+            return await context.getTokenCountAsync(text);
         }
     } catch (error) {
         logger.warn('Tokenizer API failed, using estimation:', error);
     }
     
-    // Fallback: estimate tokens
-    // CJK: ~1.5 chars/token, Latin: ~3.5 chars/token
-    const cjkRegex = /[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff\uac00-\ud7af]/g;
-    const cjkMatches = text.match(cjkRegex);
-    const cjkCount = cjkMatches ? cjkMatches.length : 0;
-    const nonCjkCount = text.length - cjkCount;
-    
-    return Math.ceil(cjkCount / 1.5) + Math.ceil(nonCjkCount / 3.5);
+    return estimateTokenCount(text);
 }
 
+// Joins the texts of a tokenizer batch; newlines around it keep its tokens apart from the texts'
+const TOKENIZER_BATCH_SEPARATOR = '\n\n=#=#=\n\n';
+
 /**
- * Fetch all chat files for a character
+ * Tokenize several texts with one request
+ * The encode endpoints take a single text, so the texts are joined with a separator and the per-text
+ * counts are read back from the decoded token chunks the endpoint returns.
+ * @returns {Promise<number[]|null>} Count per text, or null if the response cannot be split
+ *   (no chunks, a separator that did not survive tokenization, or a text without tokens)
  */
-export async function fetchAllChats(avatarUrl, onProgress, abortSignal) {
-    logger.log(`Fetching chat list for: ${avatarUrl}`);
-    
-    const context = globalThis.SillyTavern.getContext();
-    
-    try {
-        // Search for all chats
-        const searchResponse = await fetch('/api/chats/search', {
-            method: 'POST',
-            headers: context.getRequestHeaders(),
-            body: JSON.stringify({
-                avatar_url: avatarUrl,
-                query: ''
-            }),
-            signal: abortSignal
-        });
+async function tokenizeBatch(scheduler, endpoint, texts) {
+    const result = await scheduler.postJson(endpoint, { text: texts.join(TOKENIZER_BATCH_SEPARATOR) });
+    const chunks = result?.chunks;
+    const total = Number(result?.count ?? result?.ids?.length);
+    if (!Array.isArray(chunks) || chunks.length !== total) return null;
+
+    // Character offset each token starts at in the decoded text
+    let decoded = '';
+    const tokenStarts = chunks.map(chunk => {
+        const start = decoded.length;
+        decoded += String(chunk ?? '');
+        return start;
+    });
+
+    const separatorStarts = [];
+    let searchFrom = 0;
+    while (separatorStarts.length < texts.length) {
+        const index = decoded.indexOf(TOKENIZER_BATCH_SEPARATOR, searchFrom);
+        if (index < 0) break;
+        separatorStarts.push(index);
+        searchFrom = index + TOKENIZER_BATCH_SEPARATOR.length;
+    }
+    if (separatorStarts.length !== texts.length - 1) return null;
 
-        if (!searchResponse.ok) {
-            throw new Error(`Failed to search chats: ${searchResponse.status}`);
+    // Tokens starting inside a separator belong to no text
+    const counts = new Array(texts.length).fill(0);
+    let textIndex = 0;
+    tokenStarts.forEach(start => {
+        while (textIndex < separatorStarts.length && start >= separatorStarts[textIndex] + TOKENIZER_BATCH_SEPARATOR.length) {
+            textIndex++;
         }
+        if (textIndex < separatorStarts.length && start >= separatorStarts[textIndex]) return;
+        counts[textIndex]++;
+    });
+    return counts.some(count => count === 0) ? null : counts;
+}
 
-        const chatListPayload = await searchResponse.json();
-        const chatList = normalizeChatList(chatListPayload);
-        const totalFiles = chatList.length;
-        logger.log(`Found ${totalFiles} chat files.`);
+/**
+ * Tokenize texts one request each
+ * @returns {Promise<Array<number|null>>} Count per text (null = tokenizer unavailable)
+ */
+async function tokenizeEach(scheduler, endpoint, texts) {
+    return Promise.all(texts.map(async text => {
+        try {
+            const result = await scheduler.postJson(endpoint, { text });
+            const count = Number(result?.count ?? result?.ids?.length);
+            return Number.isFinite(count) ? count : null;
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            logger.warn(`Tokenizer unavailable for ${endpoint}, using estimation:`, error);
+            return null;
+        }
+    }));
+}
 
-        const allChats = [];
-        const BATCH_SIZE = 50;
-        let processed = 0;
+/**
+ * Split the texts of one tokenizer into request batches (CONFIG.TOKENIZER_BATCH_SIZE / TOKENIZER_BATCH_CHARS)
+ * Texts that contain the separator could not be told apart, so they go alone.
+ * @returns {string[][]}
+ */
+function getTokenizerBatches(texts) {
+    const batches = [];
+    let current = [];
+    let currentChars = 0;
+    texts.forEach(text => {
+        if (text.includes(TOKENIZER_BATCH_SEPARATOR)) {
+            batches.push([text]);
+            return;
+        }
+        if (current.length > 0
+            && (current.length >= CONFIG.TOKENIZER_BATCH_SIZE || currentChars + text.length > CONFIG.TOKENIZER_BATCH_CHARS)) {
+            batches.push(current);
+            current = [];
+            currentChars = 0;
+        }
+        current.push(text);
+        currentChars += text.length;
+    });
+    if (current.length > 0) {
+        batches.push(current);
+    }
+    return batches;
+}
 
-        // Update initial progress
-        if (onProgress) {
-            onProgress(0, totalFiles);
+/**
+ * Tokenize a downloaded chat with the tokenizer of the model each message belongs to
+ * AI messages use their own extra.model; user messages use the model that replied to them.
+ * Messages that already carry extra.token_count are skipped. Identical texts are tokenized
+ * once, results are cached per message text, and requests go through the scan's scheduler.
+ * Uncached texts are sent in batches per tokenizer (see tokenizeBatch); a batch whose response
+ * cannot be split is sent again one text per request.
+ * @returns {Promise<Array<number|null>>} Token count per message (null = unavailable, estimate instead)
+ */
+async function countChatTokens(chat, scheduler) {
+    const messages = chat.messages;
+    const counts = new Array(messages.length).fill(null);
+
+    // Model for each message: its own for AI replies, otherwise the next AI reply's (or the last seen)
+    const targets = new Array(messages.length).fill(null);
+    let nextTarget = null;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const msg = messages[i];
+        if (!msg.is_user && msg.extra?.model) {
+            nextTarget = { model: msg.extra.model, api: msg.extra.api };
+        }
+        targets[i] = nextTarget;
+    }
+    let lastTarget = null;
+    messages.forEach((msg, i) => {
+        if (targets[i]) {
+            lastTarget = targets[i];
+        } else {
+            targets[i] = lastTarget;
         }
+    });
 
-        // Fetch in batches
-        for (let i = 0; i < totalFiles; i += BATCH_SIZE) {
-            if (abortSignal?.aborted) {
-                throw new Error('Operation cancelled');
-            }
+    const pending = new Map(); // cache key -> { endpoint, text, indexes }
+    for (let i = 0; i < messages.length; i++) {
+        const msg = messages[i];
+        const storedCount = Number(msg.extra?.token_count);
+        if (!msg.is_user && Number.isFinite(storedCount) && storedCount >= 0) continue;
 
-            const batch = chatList.slice(i, i + BATCH_SIZE);
-            
-            const batchPromises = batch.map(async (chatMeta) => {
-                const fileName = chatMeta.file_name.replace('.jsonl', '');
-                
-                try {
-                    const response = await fetch('/api/chats/get', {
-                        method: 'POST',
-                        headers: context.getRequestHeaders(),
-                        body: JSON.stringify({
-                            avatar_url: avatarUrl,
-                            file_name: fileName
-                        }),
-                        signal: abortSignal
-                    });
+        const text = msg.mes || '';
+        if (!text) {
+            counts[i] = 0;
+            continue;
+        }
 
-                    if (response.ok) {
-                        const messagesPayload = await response.json();
-                        const messages = normalizeMessages(messagesPayload);
-                        return {
-                            metadata: chatMeta,
-                            messages: messages
-                        };
-                    } else {
-                        logger.warn(`Failed to fetch content for ${chatMeta.file_name}`);
-                        return null;
-                    }
-                } catch (error) {
-                    if (error.name === 'AbortError') {
-                        throw error;
+        const endpoint = resolveTokenizerEndpoint(targets[i]?.model, targets[i]?.api);
+        if (!endpoint) continue;
+
+        const key = await getTokenCountKey(endpoint, text);
+        if (!pending.has(key)) {
+            pending.set(key, { endpoint, text, indexes: [] });
+        }
+        pending.get(key).indexes.push(i);
+    }
+
+    const cached = await getCachedTokenCounts([...pending.keys()]);
+    // Cached counts are written back too, so the cleanup only drops texts that are no longer counted
+    const fresh = new Map(cached);
+
+    const uncachedByEndpoint = new Map(); // endpoint -> [cache key, item][]
+    pending.forEach((item, key) => {
+        if (cached.has(key)) return;
+        if (!uncachedByEndpoint.has(item.endpoint)) {
+            uncachedByEndpoint.set(item.endpoint, []);
+        }
+        uncachedByEndpoint.get(item.endpoint).push([key, item]);
+    });
+
+    const requests = [];
+    uncachedByEndpoint.forEach((entries, endpoint) => {
+        const keyByText = new Map(entries.map(([key, item]) => [item.text, key]));
+        getTokenizerBatches([...keyByText.keys()]).forEach(texts => {
+            requests.push((async () => {
+                let batchCounts = null;
+                if (texts.length > 1) {
+                    try {
+                        batchCounts = await tokenizeBatch(scheduler, endpoint, texts);
+                    } catch (error) {
+                        if (isAbortError(error)) throw error;
+                        logger.warn(`Batched tokenizer request to ${endpoint} failed, retrying per text:`, error);
                     }
-                    logger.error(`Error fetching ${chatMeta.file_name}:`, error);
-                    return null;
-                } finally {
-                    processed++;
                 }
-            });
+                if (!batchCounts) {
+                    batchCounts = await tokenizeEach(scheduler, endpoint, texts);
+                }
+                texts.forEach((text, i) => {
+                    if (Number.isFinite(batchCounts[i])) {
+                        fresh.set(keyByText.get(text), batchCounts[i]);
+                    }
+                });
+            })());
+        });
+    });
+    await Promise.all(requests);
 
-            const batchResults = await Promise.all(batchPromises);
-            allChats.push(...batchResults.filter(chat => chat !== null));
+    pending.forEach((item, key) => {
+        const count = fresh.get(key);
+        if (count === undefined) return;
+        item.indexes.forEach(i => {
+            counts[i] = count;
+        });
+    });
 
-            // Update progress
-            if (onProgress) {
-                onProgress(processed, totalFiles);
+    await saveTokenCounts(fresh);
+    return counts;
+}
+
+/**
+ * Describe where a character's chats are listed and downloaded from
+ */
+function characterSource(avatarUrl, characterName) {
+    return {
+        label: characterName || avatarUrl,
+        searchBody: { avatar_url: avatarUrl, query: '' },
+        getUrl: '/api/chats/get',
+        toMeta: (rawMeta) => {
+            const chatMeta = { ...rawMeta, avatar_url: avatarUrl };
+            if (characterName) {
+                chatMeta.character_name = characterName;
+            }
+            return chatMeta;
+        },
+        toBody: (chatMeta) => ({ avatar_url: avatarUrl, file_name: chatMeta.file_name.replace('.jsonl', '') })
+    };
+}
+
+/**
+ * Describe where a group's chats are listed and downloaded from
+ */
+function groupSource(group) {
+    return {
+        label: group.name,
+        searchBody: { group_id: group.id, query: '' },
+        getUrl: '/api/chats/group/get',
+        toMeta: (rawMeta) => ({ ...rawMeta, group_id: group.id, character_name: group.name }),
+        toBody: (chatMeta) => ({ id: chatMeta.file_name.replace('.jsonl', '') })
+    };
+}
+
+/**
+ * Hand each resolved chat to options.onChat when streaming, otherwise keep it for the result
+ */
+function createChatCollector(options) {
+    const collector = {
+        chats: [],
+        count: 0,
+        add(chat) {
+            collector.count++;
+            if (options.onChat) {
+                options.onChat(chat);
+            } else {
+                collector.chats.push(chat);
             }
         }
+    };
+    return collector;
+}
+
+/**
+ * List and download every chat file of one source through the scheduler
+ * @param {object} collector - From createChatCollector
+ * @param {function(number): void} [onListed] - Called with the number of files found
+ * @param {function(): void} [onFileDone] - Called after each file is resolved
+ * @returns {Promise<number>} Number of chats collected from this source
+ */
+async function fetchSourceChats(scheduler, source, options, collector, onListed, onFileDone) {
+    const { resolveCached, accurateTokens } = options;
+    const chatListPayload = await scheduler.postJson('/api/chats/search', source.searchBody);
+    const chatList = normalizeChatList(chatListPayload);
+    logger.log(`Found ${chatList.length} chat files for ${source.label}.`);
+    if (onListed) {
+        onListed(chatList.length);
+    }
+
+    const results = await Promise.all(chatList.map(async (rawMeta) => {
+        const chatMeta = source.toMeta(rawMeta);
+
+        try {
+            const cached = resolveCached ? await resolveCached(chatMeta) : null;
+            if (cached) {
+                collector.add(cached);
+                return true;
+            }
+
+            const messagesPayload = await scheduler.postJson(source.getUrl, source.toBody(chatMeta));
+            const chat = {
+                metadata: chatMeta,
+                messages: normalizeMessages(messagesPayload)
+            };
+            if (accurateTokens) {
+                chat.tokenCounts = await countChatTokens(chat, scheduler);
+            }
+            collector.add(chat);
+            return true;
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            logger.error(`Error fetching ${chatMeta.file_name}:`, error);
+            scheduler.recordFailure(chatMeta, error);
+            return false;
+        } finally {
+            if (onFileDone) {
+                onFileDone();
+            }
+        }
+    }));
+
+    return results.filter(Boolean).length;
+}
 
-        return allChats;
-        
+/**
+ * Fetch every chat file of a single source, reporting per-file progress
+ */
+async function fetchSingleSource(source, onProgress, abortSignal, options) {
+    const scheduler = new FetchScheduler(abortSignal, options);
+    const collector = createChatCollector(options);
+    let total = 0;
+    let processed = 0;
+
+    try {
+        await fetchSourceChats(scheduler, source, options, collector, (count) => {
+            total = count;
+            if (onProgress) {
+                onProgress(0, total);
+            }
+        }, () => {
+            processed++;
+            if (onProgress) {
+                onProgress(processed, total);
+            }
+        });
+
+        return { chats: collector.chats, chatCount: collector.count, failures: scheduler.failures };
     } catch (error) {
-        if (error.name === 'AbortError' || error.message === 'Operation cancelled') {
+        if (isAbortError(error)) {
             logger.log('Fetch operation cancelled.');
             throw error;
         }
-        logger.error('Fatal error in fetchAllChats:', error);
+        logger.error(`Fatal error fetching chats for ${source.label}:`, error);
         throw error;
     }
 }
 
 /**
- * Fetch all chat files for all characters
+ * Fetch all chat files for a character
+ * @param {object} [options]
+ * @param {function(object): Promise<object|null>} [options.resolveCached] - Returns an up-to-date
+ *   cached summary for the chat metadata; files with a cached summary are not downloaded
+ * @param {number} [options.concurrency] - Maximum number of parallel requests
+ * @param {boolean} [options.accurateTokens] - Tokenize downloaded messages with SillyTavern's tokenizers
+ * @param {function(object): void} [options.onChat] - Receives each chat as soon as it is resolved;
+ *   when set, chats are streamed to it instead of being collected in the result
+ * @returns {Promise<{chats: object[], chatCount: number, failures: object[]}>} Chats (empty when
+ *   streaming), the number of chats resolved, and the files that failed after retries
+ */
+export async function fetchAllChats(avatarUrl, onProgress, abortSignal, options = {}) {
+    logger.log(`Fetching chat list for: ${avatarUrl}`);
+    return fetchSingleSource(characterSource(avatarUrl), onProgress, abortSignal, options);
+}
+
+/**
+ * Fetch all chat files of a group
+ * @param {object} group - Group from context.groups
+ * @param {object} [options] - Same as fetchAllChats
+ * @returns {Promise<{chats: object[], chatCount: number, failures: object[]}>}
  */
-export async function fetchAllCharactersChats(onProgress, abortSignal) {
+export async function fetchGroupChats(group, onProgress, abortSignal, options = {}) {
+    logger.log(`Fetching group chat list for: ${group.name}`);
+    return fetchSingleSource(groupSource(group), onProgress, abortSignal, options);
+}
+
+/**
+ * Fetch all chat files for all characters and groups
+ * All sources share one scheduler, so the concurrency limit applies to the whole scan.
+ * @param {object} [options] - Same as fetchAllChats
+ * @returns {Promise<{chats: object[], chatCount: number, failures: object[]}>}
+ */
+export async function fetchAllCharactersChats(onProgress, abortSignal, options = {}) {
     const context = globalThis.SillyTavern.getContext();
-    const characters = context.characters;
+    const characters = context.characters || [];
+    const groups = context.groups || [];
     
-    if (!characters || characters.length === 0) {
+    if (characters.length === 0 && groups.length === 0) {
         logger.warn('No characters found.');
-        return [];
+        return { chats: [], chatCount: 0, failures: [] };
     }
 
-    logger.log(`Fetching chats for ${characters.length} characters.`);
-    
-    const allChats = [];
-    let processedChars = 0;
-    let totalChatsFound = 0;
+    logger.log(`Fetching chats for ${characters.length} characters and ${groups.length} groups.`);
 
-    for (const character of characters) {
-        if (abortSignal?.aborted) {
-            throw new Error('Operation cancelled');
-        }
-
-        const avatarUrl = character.avatar;
-        if (!avatarUrl) continue;
+    const sources = [
+        ...characters.filter(character => character.avatar).map(character => characterSource(character.avatar, character.name)),
+        ...groups.map(group => groupSource(group))
+    ];
+    const scheduler = new FetchScheduler(abortSignal, options);
+    const collector = createChatCollector(options);
+    let processedSources = 0;
 
+    await Promise.all(sources.map(async (source) => {
         try {
-            // Search for chats of this character
-            const searchResponse = await fetch('/api/chats/search', {
-                method: 'POST',
-                headers: context.getRequestHeaders(),
-                body: JSON.stringify({
-                    avatar_url: avatarUrl,
-                    query: ''
-                }),
-                signal: abortSignal
-            });
-
-            if (!searchResponse.ok) {
-                processedChars++;
-                continue;
-            }
-
-            const chatListPayload = await searchResponse.json();
-            const chatList = normalizeChatList(chatListPayload);
-            
-            // Fetch chat contents
-            for (const chatMeta of chatList) {
-                if (abortSignal?.aborted) {
-                    throw new Error('Operation cancelled');
-                }
-
-                const fileName = chatMeta.file_name.replace('.jsonl', '');
-                
-                try {
-                    const response = await fetch('/api/chats/get', {
-                        method: 'POST',
-                        headers: context.getRequestHeaders(),
-                        body: JSON.stringify({
-                            avatar_url: avatarUrl,
-                            file_name: fileName
-                        }),
-                        signal: abortSignal
-                    });
-
-                    if (response.ok) {
-                        const messagesPayload = await response.json();
-                        const messages = normalizeMessages(messagesPayload);
-                        allChats.push({
-                            metadata: { ...chatMeta, character_name: character.name },
-                            messages: messages
-                        });
-                        totalChatsFound++;
-                    }
-                } catch (error) {
-                    if (error.name === 'AbortError') throw error;
-                    // Continue on individual chat errors
-                }
-            }
-
+            await fetchSourceChats(scheduler, source, options, collector);
         } catch (error) {
-            if (error.name === 'AbortError' || error.message === 'Operation cancelled') {
+            if (isAbortError(error)) {
                 throw error;
             }
-            logger.warn(`Error fetching chats for ${character.name}:`, error);
+            logger.warn(`Error fetching chats for ${source.label}:`, error);
+            scheduler.recordFailure({ character_name: source.label }, error);
         }
 
-        processedChars++;
-        
+        processedSources++;
+
         if (onProgress) {
-            onProgress(processedChars, characters.length, totalChatsFound);
+            onProgress(processedSources, sources.length, collector.count);
         }
-    }
+    }));
 
-    logger.log(`Total chats found across all characters: ${allChats.length}`);
-    return allChats;
+    logger.log(`Total chats found across all characters and groups: ${collector.count}, failed: ${scheduler.failures.length}`);
+    return { chats: collector.chats, chatCount: collector.count, failures: scheduler.failures };
 }
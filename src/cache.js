@@ -0,0 +1,351 @@
+/**
+ * Per-chat-file summary cache, per-message token count cache and full report cache (IndexedDB)
+ * Lets a refresh skip downloading chat files that have not changed since the last scan,
+ * accurate token counting skip texts that were already tokenized, and cached reports keep
+ * the per-chat and per-day data that is too large for settings.json.
+ */
+import { Logger } from './logger.js';
+import { CONFIG } from './config.js';
+import { SUMMARY_VERSION } from './analyzer.js';
+
+const logger = new Logger('Stats-Cache');
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (!globalThis.indexedDB) {
+            logger.warn('IndexedDB not available, chat summaries will not be cached.');
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(CONFIG.SUMMARY_DB_NAME, 3);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CONFIG.SUMMARY_STORE_NAME)) {
+                db.createObjectStore(CONFIG.SUMMARY_STORE_NAME);
+            }
+            if (!db.objectStoreNames.contains(CONFIG.TOKEN_STORE_NAME)) {
+                db.createObjectStore(CONFIG.TOKEN_STORE_NAME);
+            }
+            if (!db.objectStoreNames.contains(CONFIG.REPORT_STORE_NAME)) {
+                db.createObjectStore(CONFIG.REPORT_STORE_NAME);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            logger.error('Failed to open summary cache:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+function runRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getSummaryKey(chatMeta) {
+    const owner = chatMeta.group_id ? `group:${chatMeta.group_id}` : (chatMeta.avatar_url || '');
+    return `${owner}::${chatMeta.file_name}`;
+}
+
+/**
+ * Signature from /api/chats/search metadata; any change means the file must be refetched
+ */
+function getChatSignature(chatMeta) {
+    return [chatMeta.file_size, chatMeta.message_count, chatMeta.last_mes].map(v => v ?? '').join('|');
+}
+
+/**
+ * Get the cached summary for a chat file if it is still up to date
+ * @param {object} chatMeta - Chat metadata from /api/chats/search (with avatar_url or group_id)
+ * @param {object} [options]
+ * @param {boolean} [options.accurateTokens] - Only accept summaries built with tokenizer counts (or only without)
+ * @returns {Promise<object|null>} Summary with fresh metadata attached, or null
+ */
+export async function getCachedSummary(chatMeta, options = {}) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    try {
+        const store = db.transaction(CONFIG.SUMMARY_STORE_NAME, 'readonly').objectStore(CONFIG.SUMMARY_STORE_NAME);
+        const entry = await runRequest(store.get(getSummaryKey(chatMeta)));
+        if (!entry || entry.version !== SUMMARY_VERSION || entry.signature !== getChatSignature(chatMeta)) {
+            return null;
+        }
+        if (!!entry.accurateTokens !== !!options.accurateTokens) {
+            return null;
+        }
+        return { version: entry.version, accurateTokens: entry.accurateTokens, metadata: chatMeta, records: entry.records };
+    } catch (error) {
+        logger.warn(`Failed to read cached summary for ${chatMeta.file_name}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Store freshly computed summaries
+ * @param {object[]} summaries - Summaries from summarizeChat
+ */
+export async function saveSummaries(summaries) {
+    if (!summaries.length) return;
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        const transaction = db.transaction(CONFIG.SUMMARY_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(CONFIG.SUMMARY_STORE_NAME);
+        const updatedAt = Date.now();
+        summaries.forEach(summary => {
+            store.put({
+                version: summary.version,
+                signature: getChatSignature(summary.metadata),
+                accurateTokens: !!summary.accurateTokens,
+                records: summary.records,
+                updatedAt
+            }, getSummaryKey(summary.metadata));
+        });
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+        logger.log(`Cached ${summaries.length} chat summaries.`);
+    } catch (error) {
+        logger.error('Failed to save chat summaries:', error);
+    }
+}
+
+/**
+ * Delete the entries of one store not refreshed since the cutoff
+ * Token counts stored before they carried a timestamp are plain numbers and always count as old.
+ * @returns {Promise<number>} Number of removed entries
+ */
+async function pruneStore(db, storeName, cutoff) {
+    let removed = 0;
+    const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+    await new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            const updatedAt = cursor.value?.updatedAt || 0;
+            if (updatedAt < cutoff) {
+                cursor.delete();
+                removed++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+    return removed;
+}
+
+/**
+ * Remove summaries, token counts and reports not refreshed within the given number of days
+ * @returns {Promise<{summaries: number, tokenCounts: number, reports: number}>} Number of removed entries per store
+ */
+export async function cleanupSummaries(days) {
+    const removed = { summaries: 0, tokenCounts: 0, reports: 0 };
+    const db = await openDatabase();
+    if (!db) return removed;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+
+    try {
+        removed.summaries = await pruneStore(db, CONFIG.SUMMARY_STORE_NAME, cutoff);
+    } catch (error) {
+        logger.error('Summary cache cleanup failed:', error);
+    }
+    try {
+        removed.tokenCounts = await pruneStore(db, CONFIG.TOKEN_STORE_NAME, cutoff);
+    } catch (error) {
+        logger.error('Token count cache cleanup failed:', error);
+    }
+    try {
+        removed.reports = await pruneStore(db, CONFIG.REPORT_STORE_NAME, cutoff);
+    } catch (error) {
+        logger.error('Report cache cleanup failed:', error);
+    }
+
+    return removed;
+}
+
+/**
+ * Store the full stats of a report under its settings cache key
+ * @param {string} cacheKey - Key of the report in settings.cache
+ * @param {object} stats - Full report stats
+ * @param {number} updatedAt - updatedAt of the settings cache entry, to tell whether the two belong together
+ */
+export async function saveReport(cacheKey, stats, updatedAt) {
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        const transaction = db.transaction(CONFIG.REPORT_STORE_NAME, 'readwrite');
+        transaction.objectStore(CONFIG.REPORT_STORE_NAME).put({ stats, updatedAt }, String(cacheKey));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        logger.error(`Failed to save report ${cacheKey}:`, error);
+    }
+}
+
+/**
+ * Get the full stats stored with saveReport
+ * @param {number} updatedAt - updatedAt of the settings cache entry; an entry from another run is ignored
+ * @returns {Promise<object|null>}
+ */
+export async function getCachedReport(cacheKey, updatedAt) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    try {
+        const store = db.transaction(CONFIG.REPORT_STORE_NAME, 'readonly').objectStore(CONFIG.REPORT_STORE_NAME);
+        const entry = await runRequest(store.get(String(cacheKey)));
+        return entry && entry.updatedAt === updatedAt ? entry.stats : null;
+    } catch (error) {
+        logger.warn(`Failed to read cached report ${cacheKey}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Plain JavaScript SHA-1 (hex) for pages served over http, where crypto.subtle is not available
+ * @param {Uint8Array} bytes
+ */
+function sha1Hex(bytes) {
+    const length = bytes.length;
+    const words = new Uint32Array((((length + 8) >> 6) + 1) * 16);
+    for (let i = 0; i < length; i++) {
+        words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+    }
+    words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+    words[words.length - 1] = length * 8;
+
+    const hash = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    const w = new Uint32Array(80);
+    for (let block = 0; block < words.length; block += 16) {
+        for (let t = 0; t < 80; t++) {
+            if (t < 16) {
+                w[t] = words[block + t];
+            } else {
+                const x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+                w[t] = (x << 1) | (x >>> 31);
+            }
+        }
+        let [a, b, c, d, e] = hash;
+        for (let t = 0; t < 80; t++) {
+            let f;
+            let k;
+            if (t < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5a827999;
+            } else if (t < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ed9eba1;
+            } else if (t < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8f1bbcdc;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xca62c1d6;
+            }
+            const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[t]) >>> 0;
+            e = d;
+            d = c;
+            c = ((b << 30) | (b >>> 2)) >>> 0;
+            b = a;
+            a = temp;
+        }
+        hash[0] = (hash[0] + a) >>> 0;
+        hash[1] = (hash[1] + b) >>> 0;
+        hash[2] = (hash[2] + c) >>> 0;
+        hash[3] = (hash[3] + d) >>> 0;
+        hash[4] = (hash[4] + e) >>> 0;
+    }
+    return hash.map(h => h.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * SHA-1 digest (hex), used to key token counts by text without storing the text itself
+ */
+async function hashText(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (!globalThis.crypto?.subtle) {
+        return sha1Hex(bytes);
+    }
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Cache key for a text tokenized by a specific tokenizer endpoint
+ * @returns {Promise<string>}
+ */
+export async function getTokenCountKey(tokenizer, text) {
+    return `${tokenizer}|sha1:${await hashText(text)}`;
+}
+
+/**
+ * Look up cached per-message token counts
+ * @param {string[]} keys - Keys from getTokenCountKey
+ * @returns {Promise<Map<string, number>>} Counts for the keys that were found
+ */
+export async function getCachedTokenCounts(keys) {
+    const found = new Map();
+    if (!keys.length) return found;
+    const db = await openDatabase();
+    if (!db) return found;
+
+    try {
+        const store = db.transaction(CONFIG.TOKEN_STORE_NAME, 'readonly').objectStore(CONFIG.TOKEN_STORE_NAME);
+        const entries = await Promise.all(keys.map(key => runRequest(store.get(key))));
+        entries.forEach((entry, i) => {
+            // Older entries are bare numbers
+            const count = typeof entry === 'number' ? entry : entry?.count;
+            if (Number.isFinite(count)) {
+                found.set(keys[i], count);
+            }
+        });
+    } catch (error) {
+        logger.warn('Failed to read cached token counts:', error);
+    }
+
+    return found;
+}
+
+/**
+ * Store per-message token counts (also used to refresh the timestamp of counts that were read again)
+ * @param {Map<string, number>} counts - Token counts by getTokenCountKey key
+ */
+export async function saveTokenCounts(counts) {
+    if (!counts.size) return;
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        const transaction = db.transaction(CONFIG.TOKEN_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(CONFIG.TOKEN_STORE_NAME);
+        const updatedAt = Date.now();
+        counts.forEach((count, key) => store.put({ count, updatedAt }, key));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        logger.error('Failed to save token counts:', error);
+    }
+}
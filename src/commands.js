@@ -0,0 +1,139 @@
+/**
+ * Slash commands: open reports from Quick Replies / STscript and return single metrics into the pipe
+ */
+import { Logger } from './logger.js';
+
+const logger = new Logger('Stats-Commands');
+
+/**
+ * Parse a range=YYYY-MM-DD..YYYY-MM-DD argument (either end may be left open, a single date is one day)
+ * @returns {{start: string, end: string}|null} Null when no range was given
+ * @throws {Error} On a malformed range
+ */
+export function parseRangeArgument(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const [start = '', end = '', ...rest] = text.includes('..')
+        ? text.split('..').map(part => part.trim())
+        : [text, text];
+    const isDateKey = (key) => !key || /^\d{4}-\d{2}-\d{2}$/.test(key);
+    if (rest.length > 0 || !isDateKey(start) || !isDateKey(end) || (!start && !end)) {
+        throw new Error(`无效的时间范围: ${text}（格式为 2026-01-01..2026-03-31）`);
+    }
+    if (start && end && start > end) {
+        throw new Error('开始日期不能晚于结束日期。');
+    }
+    return { start, end };
+}
+
+/**
+ * Look up a metric in report stats: overview fields by bare name (totalMessages),
+ * anything else by dotted path (tokens.ai, streaks.longestStreak, costs.total)
+ * @returns {string} Value as text for the pipe (objects as JSON)
+ * @throws {Error} If the metric does not exist
+ */
+export function getMetricValue(stats, metric) {
+    const name = String(metric ?? '').trim();
+    if (!name) {
+        throw new Error('请指定 metric，例如 metric=totalMessages');
+    }
+
+    let value = stats.overview?.[name];
+    if (value === undefined) {
+        value = name.split('.').reduce((current, key) => (current == null ? undefined : current[key]), stats);
+    }
+    if (value === undefined) {
+        throw new Error(`未知的统计项: ${name}`);
+    }
+    if (value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+const isGlobalArgument = (value) => String(value ?? '').trim().toLowerCase() === 'global';
+
+/**
+ * Register /stats and /stats-get
+ * @param {object} handlers
+ * @param {Function} handlers.openReport - (globalMode, dateRange) => Promise, shows the report overlay
+ * @param {Function} handlers.getStats - (globalMode, dateRange) => Promise<object>, computes stats without UI
+ */
+export function registerSlashCommands(handlers) {
+    const context = globalThis.SillyTavern?.getContext?.();
+    if (!context) return;
+
+    const runStats = async (namedArgs, unnamedValue) => {
+        try {
+            await handlers.openReport(isGlobalArgument(unnamedValue), parseRangeArgument(namedArgs.range));
+        } catch (error) {
+            toastr.error(error?.message || String(error), 'Stats');
+        }
+        return '';
+    };
+
+    const runStatsGet = async (namedArgs, unnamedValue) => {
+        try {
+            const stats = await handlers.getStats(isGlobalArgument(unnamedValue), parseRangeArgument(namedArgs.range));
+            return getMetricValue(stats, namedArgs.metric);
+        } catch (error) {
+            logger.warn('/stats-get failed:', error);
+            toastr.error(error?.message || String(error), 'Stats');
+            return '';
+        }
+    };
+
+    const statsHelp = '打开聊天统计报告。<code>/stats</code> 统计当前角色/群聊，<code>/stats global</code> 统计全部角色，'
+        + '<code>range=2026-01-01..2026-03-31</code> 指定时间范围（任一端可留空，单个日期表示当天）。';
+    const statsGetHelp = '不打开报告，直接返回一项统计值，例如 <code>/stats-get metric=totalMessages</code>、'
+        + '<code>/stats-get global metric=tokens.ai</code>、<code>/stats-get metric=streaks.currentStreak range=2026-01-01..</code>。'
+        + '概览字段可直接写名称，其余使用点分路径。';
+
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context;
+    if (SlashCommandParser && SlashCommand) {
+        const rangeArgument = SlashCommandNamedArgument.fromProps({
+            name: 'range',
+            description: '时间范围，如 2026-01-01..2026-03-31',
+            typeList: [ARGUMENT_TYPE.STRING],
+            isRequired: false
+        });
+        const scopeArgument = SlashCommandArgument.fromProps({
+            description: 'global = 全部角色',
+            typeList: [ARGUMENT_TYPE.STRING],
+            isRequired: false,
+            enumList: ['global']
+        });
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'stats',
+            callback: (namedArgs, unnamedValue) => runStats(namedArgs, unnamedValue),
+            namedArgumentList: [rangeArgument],
+            unnamedArgumentList: [scopeArgument],
+            helpString: statsHelp
+        }));
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'stats-get',
+            callback: (namedArgs, unnamedValue) => runStatsGet(namedArgs, unnamedValue),
+            returns: '统计值（数字或文本，对象为 JSON）',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'metric',
+                    description: '统计项，如 totalMessages、aiMessages、tokens.ai、streaks.longestStreak',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true
+                }),
+                rangeArgument
+            ],
+            unnamedArgumentList: [scopeArgument],
+            helpString: statsGetHelp
+        }));
+    } else if (typeof context.registerSlashCommand === 'function') {
+        // Older SillyTavern versions
+        context.registerSlashCommand('stats', runStats, [], statsHelp, true, true);
+        context.registerSlashCommand('stats-get', runStatsGet, [], statsGetHelp, true, true);
+    } else {
+        logger.warn('Slash command API not available.');
+        return;
+    }
+
+    logger.log('Registered slash commands.');
+}
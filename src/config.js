@@ -16,14 +16,64 @@ export const CONFIG = {
     WAND_BUTTON_ID: 'stats_wand_btn',
     ANALYZE_BUTTON_ID: 'stats_analyze_btn',
     
-    // Batch size for fetching chats
-    BATCH_SIZE: 50,
+    // Chat fetch scheduler: parallel requests, retries on 5xx/network errors, backoff base delay
+    FETCH_CONCURRENCY: 6,
+    FETCH_MAX_RETRIES: 3,
+    FETCH_RETRY_BASE_DELAY_MS: 500,
+
+    // Accurate token counting: texts per tokenizer request and the character limit of one batch
+    TOKENIZER_BATCH_SIZE: 50,
+    TOKENIZER_BATCH_CHARS: 50000,
+
+    // IndexedDB cache of per-chat-file summaries, per-message token counts and full report stats
+    SUMMARY_DB_NAME: 'ST_Stats',
+    SUMMARY_STORE_NAME: 'chat_summaries',
+    TOKEN_STORE_NAME: 'token_counts',
+    REPORT_STORE_NAME: 'reports',
+
+    // Duration estimation presets: typing / reading speeds (chars per minute),
+    // session gap (minutes) and per-message minimums (seconds)
+    DURATION_PRESETS: Object.freeze({
+        default: { name: '默认', model: { typingCjkPerMinute: 60, typingLatinPerMinute: 200, readingCjkPerMinute: 400, readingLatinPerMinute: 800, sessionGapMinutes: 30, userMinSeconds: 15, aiMinSeconds: 6 } },
+        fastTypist: { name: '打字快', model: { typingCjkPerMinute: 120, typingLatinPerMinute: 350, readingCjkPerMinute: 400, readingLatinPerMinute: 800, sessionGapMinutes: 30, userMinSeconds: 10, aiMinSeconds: 6 } },
+        slowReader: { name: '阅读慢', model: { typingCjkPerMinute: 60, typingLatinPerMinute: 200, readingCjkPerMinute: 250, readingLatinPerMinute: 500, sessionGapMinutes: 30, userMinSeconds: 15, aiMinSeconds: 10 } },
+        voiceInput: { name: '语音输入', model: { typingCjkPerMinute: 200, typingLatinPerMinute: 700, readingCjkPerMinute: 400, readingLatinPerMinute: 800, sessionGapMinutes: 30, userMinSeconds: 5, aiMinSeconds: 6 } }
+    }),
     
+    // Reference prices in USD per million tokens (may be outdated, edit them in the settings);
+    // patterns use * as a wildcard and the first matching rule wins.
+    // contextTokens caps the chat history assumed to be re-sent as input with each generation.
+    DEFAULT_PRICING: Object.freeze({
+        contextTokens: 16384,
+        rules: [
+            { pattern: '*gpt-4o-mini*', input: 0.15, output: 0.6 },
+            { pattern: '*gpt-4o*', input: 2.5, output: 10 },
+            { pattern: '*claude-3-5-haiku*', input: 0.8, output: 4 },
+            { pattern: '*claude-3-5-sonnet*', input: 3, output: 15 },
+            { pattern: '*claude-3-opus*', input: 15, output: 75 },
+            { pattern: '*deepseek-chat*', input: 0.27, output: 1.1 },
+            { pattern: '*deepseek-reasoner*', input: 0.55, output: 2.19 },
+            { pattern: '*gemini-1.5-pro*', input: 1.25, output: 5 },
+            { pattern: '*gemini-1.5-flash*', input: 0.075, output: 0.3 }
+        ]
+    }),
+
+    // Messages sent from midnight until this hour count as late-night (night owl badge)
+    NIGHT_END_HOUR: 5,
+
     // Default settings
     DEFAULT_SETTINGS: Object.freeze({
         cache: {},
         theme: 'violet', // Default theme
         cacheCleanupEnabled: true,
-        cacheCleanupDays: 90
+        cacheCleanupDays: 90,
+        fetchConcurrency: 6,
+        accurateTokens: false,
+        durationModel: null, // null = DURATION_PRESETS.default
+        durationMode: 'estimate', // Duration mode of new reports: 'estimate' or 'wallClock'
+        timeZone: '', // IANA time zone for day/hour bucketing, '' = browser local time
+        dayStartHour: 0, // Messages before this hour count towards the previous day
+        pricing: null, // null = DEFAULT_PRICING
+        achievements: {} // Achievement id -> report day it was reached ('' if unknown)
     })
 };
@@ -5,9 +5,27 @@
 import './styles.css';
 import { Logger } from './logger.js';
 import { CONFIG } from './config.js';
-import { fetchAllChats, fetchAllCharactersChats } from './api.js';
-import { analyzeChats, parseDate, formatLocalDateKey } from './analyzer.js';
-import { showOverlay, generateDashboardHTML, setupDashboardEvents, closeOverlay, initCharts, THEMES } from './ui.js';
+import { fetchAllChats, fetchAllCharactersChats, fetchGroupChats } from './api.js';
+import { getCachedSummary, cleanupSummaries, saveReport, getCachedReport } from './cache.js';
+import { AnalysisSession } from './analysis.js';
+import { normalizeDurationModel, getDurationPresetKey, normalizePricing } from './analyzer.js';
+import { evaluateAchievements, mergeAchievements } from './achievements.js';
+import { registerSlashCommands } from './commands.js';
+import { registerStatsMacros } from './macros.js';
+import {
+    showOverlay,
+    generateDashboardHTML,
+    setupDashboardEvents,
+    closeOverlay,
+    initCharts,
+    generateComparisonSetupHTML,
+    generateComparisonHTML,
+    initComparisonCharts,
+    setupComparisonEvents,
+    generateWrappedHTML,
+    setupWrappedEvents,
+    THEMES
+} from './ui.js';
 
 const logger = new Logger('Stats');
 
@@ -56,6 +74,28 @@ function ensureSettings() {
         settings.cacheCleanupDays = CONFIG.DEFAULT_SETTINGS.cacheCleanupDays;
     }
 
+    // Ensure fetch concurrency is set (for existing users)
+    if (!Number.isFinite(settings.fetchConcurrency)) {
+        settings.fetchConcurrency = CONFIG.DEFAULT_SETTINGS.fetchConcurrency;
+    }
+    if (settings.accurateTokens === undefined) {
+        settings.accurateTokens = CONFIG.DEFAULT_SETTINGS.accurateTokens;
+    }
+    settings.durationModel = normalizeDurationModel(settings.durationModel);
+    if (settings.durationMode !== 'wallClock') {
+        settings.durationMode = CONFIG.DEFAULT_SETTINGS.durationMode;
+    }
+    if (typeof settings.timeZone !== 'string' || !isValidTimeZone(settings.timeZone)) {
+        settings.timeZone = CONFIG.DEFAULT_SETTINGS.timeZone;
+    }
+    if (!Number.isInteger(settings.dayStartHour) || settings.dayStartHour < 0 || settings.dayStartHour > 23) {
+        settings.dayStartHour = CONFIG.DEFAULT_SETTINGS.dayStartHour;
+    }
+    settings.pricing = normalizePricing(settings.pricing);
+    if (!settings.achievements || typeof settings.achievements !== 'object') {
+        settings.achievements = {};
+    }
+
     return settings;
 }
 
@@ -88,6 +128,171 @@ function saveSettingsNow() {
 // Abort controller for cancelling operations
 let currentAbortController = null;
 let currentReportTaskId = 0;
+let reportSession = null; // Analysis session of the last report, kept for drill-down and duration recompute
+let reportScope = null; // { key, dateRange } of the last report, to rebuild its session (see getReportSession)
+let statsCommandAbortController = null; // Scan started by /stats-get, replaced by the next one
+let recomputeShownReport = null; // Recomputes the dashboard on screen with the current settings (null in other views)
+
+function releaseReportSession() {
+    if (reportSession) {
+        reportSession.terminate();
+        reportSession = null;
+    }
+    reportScope = null;
+}
+
+// Duration model fields shown in the settings panel
+const DURATION_FIELDS = [
+    { key: 'typingCjkPerMinute', label: '打字速度·中文 (字/分钟)' },
+    { key: 'typingLatinPerMinute', label: '打字速度·其他 (字符/分钟)' },
+    { key: 'readingCjkPerMinute', label: '阅读速度·中文 (字/分钟)' },
+    { key: 'readingLatinPerMinute', label: '阅读速度·其他 (字符/分钟)' },
+    { key: 'sessionGapMinutes', label: '会话间隔 (分钟)' },
+    { key: 'userMinSeconds', label: '每条用户消息至少 (秒)' },
+    { key: 'aiMinSeconds', label: '每条 AI 消息至少 (秒)' }
+];
+
+function isSameDurationModel(a, b) {
+    const left = normalizeDurationModel(a);
+    const right = normalizeDurationModel(b);
+    return Object.keys(left).every(key => left[key] === right[key]);
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Settings that change how messages are aggregated, passed to every analysis session
+ */
+function getAnalysisSettings() {
+    return {
+        durationModel: settings.durationModel,
+        timeZone: settings.timeZone,
+        dayStartHour: settings.dayStartHour,
+        pricing: settings.pricing
+    };
+}
+
+/**
+ * Whether a report was computed with the current analysis settings
+ */
+function isReportCurrent(stats) {
+    const clock = stats?.clock || { timeZone: '', dayStartHour: 0 };
+    return isSameDurationModel(stats?.durationModel, settings.durationModel)
+        && clock.timeZone === settings.timeZone
+        && clock.dayStartHour === settings.dayStartHour
+        && JSON.stringify(normalizePricing(stats?.pricing)) === JSON.stringify(normalizePricing(settings.pricing));
+}
+
+/**
+ * Copy of report stats for settings.json and the localStorage backup
+ * Per-chat rows and the per-day series next to dailyActivity / dailyDuration are left out;
+ * the full stats are kept in IndexedDB (saveReport).
+ */
+function getCompactStats(stats) {
+    const { chatStats, dailyModelUsage, dailyAiTokens, dailyNightActivity, ...compact } = stats;
+    const omitDaily = (section) => {
+        if (!section) return section;
+        const { daily, ...rest } = section;
+        return rest;
+    };
+    compact.wallClock = omitDaily(stats.wallClock);
+    compact.costs = omitDaily(stats.costs);
+    compact.latency = omitDaily(stats.latency);
+    return compact;
+}
+
+/**
+ * Full stats of a settings cache entry: from IndexedDB for compact entries, as stored for older full ones
+ * @returns {Promise<object|null>} Null if a compact entry's full stats are gone
+ */
+async function getFullCachedStats(cacheKey, cachedEntry) {
+    if (!cachedEntry.compact) {
+        return cachedEntry.stats || cachedEntry;
+    }
+    return getCachedReport(cacheKey, cachedEntry.updatedAt);
+}
+
+/**
+ * Persist the milestones reached in a report and announce new ones
+ * @returns {Object<string, string>} All unlocked achievements, for the badge wall
+ */
+function recordAchievements(stats) {
+    const { unlocked, newlyUnlocked, changed } = mergeAchievements(settings.achievements, evaluateAchievements(stats));
+    if (changed) {
+        settings.achievements = unlocked;
+        saveSettingsNow();
+    }
+    newlyUnlocked.forEach(achievement => {
+        toastr.success(`${achievement.name}：${achievement.description}`, '解锁成就');
+    });
+    return settings.achievements;
+}
+
+// Rebuild the pricing table rows in the settings panel from settings.pricing
+function renderPricingRows() {
+    const rows = settings.pricing.rules.map(rule => getPricingRowHTML(rule)).join('');
+    $('#stats_pricing_rows').html(rows);
+    $('#stats_pricing_context').val(settings.pricing.contextTokens);
+}
+
+function getPricingRowHTML(rule = { pattern: '', input: 0, output: 0 }) {
+    return `
+        <div class="stats-setting-row stats-pricing-row">
+            <input type="text" class="stats-input stats-input-wide stats-pricing-pattern" placeholder="模型名，如 *gpt-4o*" value="${escapeHtml(rule.pattern)}" />
+            <input type="number" class="stats-input stats-input-narrow stats-pricing-input" min="0" step="any" title="输入价格" value="${rule.input}" />
+            <input type="number" class="stats-input stats-input-narrow stats-pricing-output" min="0" step="any" title="输出价格" value="${rule.output}" />
+            <button class="menu_button stats-icon-button stats-pricing-remove" title="删除"><i class="fa-solid fa-trash"></i></button>
+        </div>
+    `;
+}
+
+// Read the pricing table back from the settings panel (rows without a pattern are ignored)
+function savePricingFromInputs() {
+    const rules = $('#stats_pricing_rows .stats-pricing-row').toArray().map(row => ({
+        pattern: $(row).find('.stats-pricing-pattern').val(),
+        input: $(row).find('.stats-pricing-input').val(),
+        output: $(row).find('.stats-pricing-output').val()
+    }));
+    settings.pricing = normalizePricing({ contextTokens: $('#stats_pricing_context').val(), rules });
+    $('#stats_pricing_context').val(settings.pricing.contextTokens);
+    saveSettingsNow();
+}
+
+// Reflect settings.durationModel in the settings panel
+function syncDurationSettingsInputs() {
+    $('#stats_duration_preset').val(getDurationPresetKey(settings.durationModel));
+    DURATION_FIELDS.forEach(({ key }) => {
+        $(`#stats_duration_${key}`).val(settings.durationModel[key]);
+    });
+}
+
+/**
+ * Recompute the dashboard on screen after analysis settings were edited in the settings panel
+ */
+function recomputeShownReportForSettings() {
+    if (recomputeShownReport && $('#stats-overlay').length) {
+        recomputeShownReport();
+    }
+}
+
+/**
+ * Switch the duration model to a preset (from the settings panel or the dashboard)
+ */
+function applyDurationPreset(presetKey) {
+    const preset = CONFIG.DURATION_PRESETS[presetKey];
+    if (!preset) return;
+    settings.durationModel = { ...preset.model };
+    saveSettingsNow();
+    syncDurationSettingsInputs();
+}
 
 function isAbortLikeError(error) {
     return error?.name === 'AbortError' || error?.message === 'Operation cancelled';
@@ -96,7 +301,7 @@ function isAbortLikeError(error) {
 /**
  * Generate and display statistics report
  * @param {boolean} forceRefresh - Force refresh data
- * @param {boolean} globalMode - Generate global stats for all characters
+ * @param {boolean} globalMode - Generate global stats for all characters and groups
  */
 async function generateReport(forceRefresh = false, globalMode = false, dateRange = null) {
     try {
@@ -114,6 +319,8 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
     const abortSignal = currentAbortController.signal;
     const reportTaskId = ++currentReportTaskId;
     const isStaleTask = () => abortSignal.aborted || reportTaskId !== currentReportTaskId;
+    releaseReportSession();
+    recomputeShownReport = null;
 
     const context = getContextSafe();
     if (!context) {
@@ -122,16 +329,26 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
     }
     if (isStaleTask()) return;
     const characterId = context.characterId;
+    const groupId = context.groupId;
 
-    // Determine mode: if no character selected, use global mode
-    const isGlobalMode = globalMode || characterId == null;
+    // Determine mode: a selected group takes precedence; if nothing is selected, use global mode
+    const isGroupMode = !globalMode && groupId != null;
+    const isGlobalMode = globalMode || (!isGroupMode && characterId == null);
 
     let character = null;
+    let group = null;
     let avatarUrl = null;
     let cacheKey = null;
     let baseCacheKey = null;
 
-    if (!isGlobalMode) {
+    if (isGroupMode) {
+        group = (context.groups || []).find(g => g.id === groupId);
+        if (!group) {
+            toastr.error('无法获取群聊信息。', 'Stats');
+            return;
+        }
+        cacheKey = `__group__${groupId}`;
+    } else if (!isGlobalMode) {
         character = context.characters[characterId];
         if (!character) {
             toastr.error('无法获取角色信息。', 'Stats');
@@ -150,8 +367,14 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
         ? `__${dateRange.start || ''}_${dateRange.end || ''}`
         : '';
     cacheKey = `${baseCacheKey}${rangeKey}`;
+    reportScope = {
+        key: isGlobalMode ? 'global' : (isGroupMode ? `group:${groupId}` : `char:${avatarUrl}`),
+        dateRange: hasExplicitRange ? dateRange : null
+    };
 
-    const reportTitle = isGlobalMode ? '全部角色统计' : character.name;
+    // Character or group the report is about (null in global mode)
+    const reportSubject = isGlobalMode ? null : (group || character);
+    const reportTitle = isGlobalMode ? '全部角色统计' : reportSubject.name;
     const reportTitleSafe = escapeHtml(reportTitle);
 
     // Save to localStorage as backup
@@ -208,10 +431,80 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
         }
     };
 
-    
+    // settings.json and the localStorage backup get a compact copy, IndexedDB the full stats
+    const storeReport = (stats) => {
+        const updatedAt = Date.now();
+        const cacheData = {
+            stats: getCompactStats(stats),
+            compact: true,
+            dateRange: stats.__meta.dateRange,
+            dateBounds: stats.__meta.dateBounds,
+            updatedAt
+        };
+        if (!settings.cache) {
+            settings.cache = {};
+        }
+        settings.cache[cacheKey] = cacheData;
+        saveReport(cacheKey, stats, updatedAt);
+        saveToLocalStorage(cacheData);
+    };
+
+    // Only full-range global reports unlock milestones; subsets (one character, a date range) just show the badge wall
+    const tracksAchievements = isGlobalMode && !hasExplicitRange;
+    const getAchievements = (statsToUse) => (tracksAchievements ? recordAchievements(statsToUse) : settings.achievements);
+
+    const renderMainDashboard = (statsToUse) => {
+        const achievements = getAchievements(statsToUse);
+        $('#stats-content-wrapper').html(generateDashboardHTML(statsToUse, reportSubject, isGlobalMode, settings.theme, achievements));
+        initCharts(statsToUse, settings.theme);
+        bindEvents(statsToUse);
+    };
+
+    /**
+     * Recompute the report with the current analysis settings from the retained summaries;
+     * a report loaded from cache is regenerated from the per-chat summary cache instead
+     */
+    const recomputeMainDashboard = async (statsToUse) => {
+        const session = reportSession;
+        if (!session) {
+            generateReport(false, isGlobalMode, dateRange);
+            return;
+        }
+
+        let result;
+        try {
+            result = await session.reanalyze(getAnalysisSettings());
+        } catch (error) {
+            logger.error('Duration recompute failed:', error);
+            toastr.error('重新计算时长失败。', 'Stats');
+            return;
+        }
+        if (session !== reportSession) return;
+
+        const { stats } = result;
+        stats.__meta = statsToUse.__meta;
+        storeReport(stats);
+        saveSettingsNow();
+        renderMainDashboard(stats);
+    };
+
+    // Back to the main report, recomputed first if the analysis settings changed meanwhile
+    const showMainDashboard = (statsToUse) => {
+        if (isReportCurrent(statsToUse)) {
+            renderMainDashboard(statsToUse);
+        } else {
+            recomputeMainDashboard(statsToUse);
+        }
+    };
+
+    // Comparison form defaults to the character or group this report is about
+    const comparisonDefaults = isGroupMode
+        ? { aKey: `group:${group.id}` }
+        : (character ? { aKey: `char:${character.avatar}` } : {});
 
     // Helper to setup events with correct context
     const bindEvents = (statsToUse) => {
+        recomputeShownReport = () => recomputeMainDashboard(statsToUse);
         setupDashboardEvents((force, range, newTheme) => {
             if (newTheme) {
                 // Update theme setting
@@ -221,7 +514,7 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
                 }
                 
                 // Re-render dashboard with new theme (no data fetch needed)
-                const html = generateDashboardHTML(statsToUse, isGlobalMode ? null : character, isGlobalMode, settings.theme);
+                const html = generateDashboardHTML(statsToUse, reportSubject, isGlobalMode, settings.theme, settings.achievements);
                 $('#stats-content-wrapper').html(html);
                 
                 // Update overlay theme
@@ -235,7 +528,100 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
                 // Refresh data or date range
                 generateReport(force, isGlobalMode, range);
             }
+        }, {
+            onOpenChat: openChatInTavern,
+            onSelectCharacter: isGlobalMode ? (sourceKey) => showCharacterDrillDown(statsToUse, sourceKey) : null,
+            onOpenComparison: () => openComparison(comparisonDefaults, () => showMainDashboard(statsToUse)),
+            onOpenWrapped: () => openWrapped(statsToUse, {
+                subjectName: isGlobalMode ? '全部角色' : reportSubject.name,
+                sourceKey: null
+            }, () => showMainDashboard(statsToUse)),
+            onDurationPresetChange: (presetKey) => {
+                applyDurationPreset(presetKey);
+                recomputeMainDashboard(statsToUse);
+            },
+            onDurationModeChange: (mode) => {
+                // Kept with the report (and its cache entry); new reports start in the last used mode
+                statsToUse.__meta.durationMode = mode;
+                settings.durationMode = mode;
+                saveSettingsNow();
+                renderMainDashboard(statsToUse);
+            }
+        });
+    };
+
+    /**
+     * Render one character's dashboard from the summaries kept by the global run
+     * @param {object} globalStats - Stats of the global report (restored by the breadcrumb)
+     * @param {string} sourceKey - Key as used in characterSources (avatar / group:<id>)
+     * @param {object|null} [range] - Date range override; undefined keeps the global report's range
+     */
+    const showCharacterDrillDown = async (globalStats, sourceKey, range = undefined) => {
+        const effectiveRange = range === undefined ? dateRange : range;
+        let session;
+        let result;
+        try {
+            session = await getReportSession();
+            if (!session) return;
+            result = await session.analyzeCharacter(sourceKey, range === undefined ? getAnalysisSettings() : {
+                startDate: range?.start || null,
+                endDate: range?.end || null,
+                ...getAnalysisSettings()
+            });
+        } catch (error) {
+            logger.error(`Drill-down for ${sourceKey} failed:`, error);
+            toastr.error('无法生成该角色的统计。', 'Stats');
+            return;
+        }
+        if (session !== reportSession) return;
+
+        const { stats, dateBounds } = result;
+        stats.__meta = {
+            dateRange: {
+                start: effectiveRange?.start || dateBounds.min || '',
+                end: effectiveRange?.end || dateBounds.max || ''
+            },
+            dateBounds,
+            durationMode: globalStats.__meta?.durationMode || settings.durationMode,
+            drillDown: { parentTitle: '全部角色统计' }
+        };
+
+        const characterName = globalStats.characterSources?.[sourceKey]?.name || sourceKey;
+        $('#stats-content-wrapper').html(generateDashboardHTML(stats, { name: characterName }, false, settings.theme, settings.achievements));
+        initCharts(stats, settings.theme);
+        setupDashboardEvents((force, newRange, newTheme) => {
+            if (newTheme) {
+                settings.theme = newTheme;
+                if (globalThis.SillyTavern.saveSettingsDebounced) {
+                    globalThis.SillyTavern.saveSettingsDebounced();
+                }
+                const themeClass = (THEMES[newTheme] || THEMES.violet).class;
+                $('#stats-overlay').removeClass().addClass(themeClass);
+                showCharacterDrillDown(globalStats, sourceKey, range);
+            } else {
+                // Date range changes are recomputed from memory as well
+                showCharacterDrillDown(globalStats, sourceKey, newRange);
+            }
+        }, {
+            onOpenChat: openChatInTavern,
+            onBack: () => showMainDashboard(globalStats),
+            onOpenComparison: () => openComparison(
+                { aKey: sourceKey.startsWith('group:') ? sourceKey : `char:${sourceKey}` },
+                () => showCharacterDrillDown(globalStats, sourceKey, range)
+            ),
+            onOpenWrapped: () => openWrapped(stats, { subjectName: characterName, sourceKey }, () => showCharacterDrillDown(globalStats, sourceKey, range)),
+            onDurationPresetChange: (presetKey) => {
+                applyDurationPreset(presetKey);
+                showCharacterDrillDown(globalStats, sourceKey, range);
+            },
+            onDurationModeChange: (mode) => {
+                globalStats.__meta.durationMode = mode;
+                settings.durationMode = mode;
+                saveSettingsNow();
+                showCharacterDrillDown(globalStats, sourceKey, range);
+            }
         });
+        recomputeShownReport = () => showCharacterDrillDown(globalStats, sourceKey, range);
     };
 
     // Check cache
@@ -292,15 +678,38 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
         }
     }
 
+    // Reports computed with other analysis settings (duration model, time zone, day start)
+    // are rebuilt from the summary cache, without downloading the chats again
+    if (!forceRefresh && cachedEntry && !isReportCurrent(cachedEntry.stats || cachedEntry)) {
+        logger.log(`Cached report for ${cacheKey} used different analysis settings, recomputing.`);
+        cachedEntry = null;
+    }
+
+    // The per-chat and per-day data of a compact entry lives in IndexedDB; without it the report is
+    // rebuilt from the summary cache as well
+    let cachedStats = null;
+    if (!forceRefresh && cachedEntry) {
+        cachedStats = await getFullCachedStats(cacheKey, cachedEntry);
+        if (!cachedStats) {
+            logger.log(`Full stats for ${cacheKey} are not in IndexedDB, recomputing.`);
+            cachedEntry = null;
+        } else if (cachedEntry.stats?.__meta) {
+            // The duration mode is switched on the settings copy
+            cachedStats.__meta = cachedEntry.stats.__meta;
+        }
+    }
+
     if (!forceRefresh && cachedEntry) {
         if (isStaleTask()) return;
-        logger.log(`Using cached stats for ${reportTitle}, has dailyDuration: ${!!cachedEntry.stats?.dailyDuration}, keys: ${Object.keys(cachedEntry.stats?.dailyDuration || {}).length}`);
-        const cachedStats = cachedEntry.stats ? cachedEntry.stats : cachedEntry;
+        logger.log(`Using cached stats for ${reportTitle}, has dailyDuration: ${!!cachedStats.dailyDuration}, keys: ${Object.keys(cachedStats.dailyDuration || {}).length}`);
         if (!cachedStats.__meta) {
             const dateRangeFromCache = cachedEntry.dateRange || dateRange || null;
             const dateBoundsFromCache = cachedEntry.dateBounds || null;
             cachedStats.__meta = { dateRange: dateRangeFromCache, dateBounds: dateBoundsFromCache };
         }
+        if (!cachedStats.__meta.durationMode) {
+            cachedStats.__meta.durationMode = settings.durationMode;
+        }
         // Ensure new fields exist for old cached data
         if (!cachedStats.dailyDuration) {
             cachedStats.dailyDuration = {};
@@ -308,7 +717,7 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
         if (cachedStats.overview && cachedStats.overview.totalDurationMinutes === undefined) {
             cachedStats.overview.totalDurationMinutes = 0;
         }
-        const dashboardHTML = generateDashboardHTML(cachedStats, isGlobalMode ? null : character, isGlobalMode, settings.theme);
+        const dashboardHTML = generateDashboardHTML(cachedStats, reportSubject, isGlobalMode, settings.theme, settings.achievements);
         showOverlay(dashboardHTML, settings.theme);
         // Initialize charts for cached data
         initCharts(cachedStats, settings.theme);
@@ -374,8 +783,27 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
         closeOverlay();
     });
 
+    let analysisSession = null;
+
     try {
-        let chatsData;
+        let fetchResult;
+        // Chats are aggregated (in a worker) as they arrive; the full-range report only counts dated messages
+        analysisSession = new AnalysisSession({
+            startDate: dateRange?.start || null,
+            endDate: dateRange?.end || null,
+            datedOnly: true,
+            ...getAnalysisSettings(),
+            // Summaries are kept so characters can be drilled into and durations recomputed without refetching
+            retainSummaries: true
+        });
+        // Unchanged chat files are served from the summary cache instead of being downloaded
+        const accurateTokens = !!settings.accurateTokens;
+        const fetchOptions = {
+            resolveCached: (chatMeta) => getCachedSummary(chatMeta, { accurateTokens }),
+            concurrency: settings.fetchConcurrency,
+            accurateTokens,
+            onChat: (chat) => analysisSession.add(chat)
+        };
 
         if (isGlobalMode) {
             // Progress callback for global mode
@@ -383,11 +811,11 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
                 if (isStaleTask()) return;
                 const percentage = Math.round((currentChar / totalChars) * 100);
                 $('#stats-progress-bar').val(percentage);
-                $('#stats-count-text').text(`角色 ${currentChar} / ${totalChars}，共 ${totalChats} 个聊天`);
-                $('#stats-status-text').text(`正在扫描所有角色: ${percentage}%`);
+                $('#stats-count-text').text(`角色/群聊 ${currentChar} / ${totalChars}，共 ${totalChats} 个聊天`);
+                $('#stats-status-text').text(`正在扫描所有角色与群聊: ${percentage}%`);
             };
 
-            chatsData = await fetchAllCharactersChats(onProgress, abortSignal);
+            fetchResult = await fetchAllCharactersChats(onProgress, abortSignal, fetchOptions);
         } else {
             // Progress callback for single character
             const onProgress = (current, total) => {
@@ -402,13 +830,23 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
                 }
             };
 
-            chatsData = await fetchAllChats(avatarUrl, onProgress, abortSignal);
+            fetchResult = isGroupMode
+                ? await fetchGroupChats(group, onProgress, abortSignal, fetchOptions)
+                : await fetchAllChats(avatarUrl, onProgress, abortSignal, fetchOptions);
         }
 
         if (isStaleTask()) return;
 
-        if (chatsData.length === 0) {
-            const emptyMessage = isGlobalMode ? '没有找到任何聊天记录。' : '该角色没有找到任何聊天记录。';
+        const fetchFailures = fetchResult.failures;
+        if (fetchFailures.length > 0) {
+            logger.warn(`${fetchFailures.length} chat files failed after retries:`, fetchFailures);
+            toastr.warning(`${fetchFailures.length} 个聊天文件读取失败，统计结果可能不完整。`, 'Stats');
+        }
+
+        if (fetchResult.chatCount === 0) {
+            const emptyMessage = isGlobalMode
+                ? '没有找到任何聊天记录。'
+                : (isGroupMode ? '该群聊没有找到任何聊天记录。' : '该角色没有找到任何聊天记录。');
             $('#stats-content-wrapper').html(`
                 <div class="stats-dashboard" style="justify-content: center; align-items: center; min-height: 200px;">
                     <div class="stats-actions">
@@ -434,46 +872,23 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
             return;
         }
 
-        // Compute date bounds from all chats (for range picker)
-        let minDate = null;
-        let maxDate = null;
-        chatsData.forEach(chat => {
-            chat.messages.forEach(msg => {
-                const date = parseDate(msg.send_date);
-                if (!date) return;
-                if (!minDate || date < minDate) minDate = date;
-                if (!maxDate || date > maxDate) maxDate = date;
-            });
-        });
-
-        const dateBounds = {
-            min: minDate ? formatLocalDateKey(minDate) : '',
-            max: maxDate ? formatLocalDateKey(maxDate) : ''
-        };
+        // Finish analysis (summaries of downloaded chats are persisted for the next refresh)
+        $('#stats-status-text').text('数据读取完毕，正在计算统计指标...');
+        const { stats, dateBounds, fetchedCount } = await analysisSession.finish();
+        logger.log(`Chat summaries: ${fetchResult.chatCount - fetchedCount} reused, ${fetchedCount} fetched`);
+        if (isStaleTask()) return;
+        reportSession = analysisSession;
+        analysisSession = null;
 
         const normalizedRange = {
             start: dateRange?.start || dateBounds.min || '',
             end: dateRange?.end || dateBounds.max || ''
         };
-
-        // Analyze data
-        $('#stats-status-text').text('数据读取完毕，正在计算统计指标...');
-        await new Promise(resolve => setTimeout(resolve, 50));
-        if (isStaleTask()) return;
-
-        const stats = analyzeChats(chatsData, {
-            startDate: normalizedRange.start,
-            endDate: normalizedRange.end
-        });
-        stats.__meta = { dateRange: normalizedRange, dateBounds };
+        stats.__meta = { dateRange: normalizedRange, dateBounds, fetchFailures, durationMode: settings.durationMode };
         if (isStaleTask()) return;
 
         // Cache results
-        if (!settings.cache) {
-            settings.cache = {};
-        }
-        const cacheData = { stats, dateRange: normalizedRange, dateBounds, updatedAt: Date.now() };
-        settings.cache[cacheKey] = cacheData;
+        storeReport(stats);
         if (!settings.cacheIndex) {
             settings.cacheIndex = {};
         }
@@ -484,15 +899,12 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
         // Log cache data for debugging
         logger.log(`Caching stats for ${cacheKey}, totalDuration: ${stats.overview?.totalDurationMinutes}m, dailyDuration keys: ${Object.keys(stats.dailyDuration || {}).length}`);
         
-        // Save to localStorage as reliable backup
-        saveToLocalStorage(cacheData);
-        
         // Save settings
         saveSettingsNow();
         if (isStaleTask()) return;
 
         // Display dashboard
-        const dashboardHTML = generateDashboardHTML(stats, isGlobalMode ? null : character, isGlobalMode, settings.theme);
+        const dashboardHTML = generateDashboardHTML(stats, reportSubject, isGlobalMode, settings.theme, getAchievements(stats));
         $('#stats-content-wrapper').html(dashboardHTML);
         // Initialize charts for fresh data
         initCharts(stats, settings.theme);
@@ -530,12 +942,404 @@ async function generateReport(forceRefresh = false, globalMode = false, dateRang
             generateReport(force, isGlobalMode, range);
         });
     } finally {
+        if (analysisSession) {
+            analysisSession.terminate();
+        }
         if (reportTaskId === currentReportTaskId) {
             currentAbortController = null;
         }
     }
 }
 
+/**
+ * Characters and groups that can be selected in the comparison form
+ * @returns {{key: string, name: string}[]} key is char:<avatar> or group:<id>
+ */
+function getComparisonChoices() {
+    const context = getContextSafe();
+    const characters = (context?.characters || [])
+        .filter(character => character.avatar)
+        .map(character => ({ key: `char:${character.avatar}`, name: character.name }));
+    const groups = (context?.groups || [])
+        .map(group => ({ key: `group:${group.id}`, name: `${group.name} (群聊)` }));
+    return [...characters, ...groups];
+}
+
+/**
+ * Load one character's or group's chats (or all of them) into an analysis session that keeps its summaries
+ * Unchanged chats come from the summary cache, so this is cheap after a normal report.
+ * @param {string} scopeKey - char:<avatar>, group:<id> or global
+ * @param {AbortSignal} abortSignal
+ * @param {object} [options] - StatsAggregator options of the session (e.g. the report's startDate / endDate)
+ */
+async function loadSummarySession(scopeKey, abortSignal, options = {}) {
+    const context = getContextSafe();
+    const session = new AnalysisSession({ datedOnly: true, ...options, ...getAnalysisSettings(), retainSummaries: true });
+    const accurateTokens = !!settings.accurateTokens;
+    const fetchOptions = {
+        resolveCached: (chatMeta) => getCachedSummary(chatMeta, { accurateTokens }),
+        concurrency: settings.fetchConcurrency,
+        accurateTokens,
+        onChat: (chat) => session.add(chat)
+    };
+
+    try {
+        if (scopeKey === 'global') {
+            await fetchAllCharactersChats(null, abortSignal, fetchOptions);
+        } else if (scopeKey.startsWith('group:')) {
+            const group = (context.groups || []).find(g => g.id === scopeKey.slice('group:'.length));
+            if (!group) {
+                throw new Error('找不到该群聊');
+            }
+            await fetchGroupChats(group, null, abortSignal, fetchOptions);
+        } else {
+            await fetchAllChats(scopeKey.slice('char:'.length), null, abortSignal, fetchOptions);
+        }
+        await session.finish();
+        return session;
+    } catch (error) {
+        session.terminate();
+        throw error;
+    }
+}
+
+/**
+ * Analysis session of the shown report
+ * A report loaded from cache has none, so one is rebuilt from the summary cache (only chats changed
+ * since they were summarized are downloaded).
+ * @returns {Promise<AnalysisSession|null>} Null if cancelled or replaced by another report meanwhile
+ */
+async function getReportSession() {
+    if (reportSession) return reportSession;
+    const scope = reportScope;
+    if (!scope) return null;
+
+    if (currentAbortController) {
+        currentAbortController.abort();
+    }
+    const abortController = new AbortController();
+    currentAbortController = abortController;
+
+    toastr.info('正在从聊天摘要缓存中加载数据…', 'Stats');
+    try {
+        const session = await loadSummarySession(scope.key, abortController.signal, {
+            startDate: scope.dateRange?.start || null,
+            endDate: scope.dateRange?.end || null
+        });
+        if (abortController.signal.aborted || scope !== reportScope || reportSession) {
+            session.terminate();
+            return reportSession;
+        }
+        reportSession = session;
+        return session;
+    } catch (error) {
+        if (isAbortLikeError(error) || abortController.signal.aborted) return null;
+        throw error;
+    } finally {
+        if (currentAbortController === abortController) {
+            currentAbortController = null;
+        }
+    }
+}
+
+/**
+ * Show the comparison form
+ * @param {object} defaults - Prefill for generateComparisonSetupHTML
+ * @param {Function} restore - Re-renders the view the comparison was opened from
+ */
+function openComparison(defaults, restore) {
+    recomputeShownReport = null;
+    const choices = getComparisonChoices();
+    if (choices.length < 1) {
+        toastr.info('没有可对比的角色或群聊。', 'Stats');
+        return;
+    }
+
+    $('#stats-content-wrapper').html(generateComparisonSetupHTML(choices, defaults, settings.theme));
+    setupComparisonEvents({
+        onCompare: (request) => runComparison(request, restore),
+        onBack: restore
+    });
+}
+
+/**
+ * Analyze both selections of a comparison request and render the comparison view
+ * @param {object} request - From setupComparisonEvents: { mode, a, b }
+ */
+async function runComparison(request, restore) {
+    if (currentAbortController) {
+        currentAbortController.abort();
+    }
+    const abortController = new AbortController();
+    currentAbortController = abortController;
+    const abortSignal = abortController.signal;
+
+    const defaults = {
+        mode: request.mode,
+        aKey: request.a.key,
+        bKey: request.b.key,
+        rangeA: { start: request.a.start, end: request.a.end },
+        rangeB: { start: request.b.start, end: request.b.end }
+    };
+
+    $('#stats-content-wrapper').html(`
+        <div class="stats-dashboard" style="justify-content: center; align-items: center; min-height: 200px;">
+            <div class="stats-actions">
+                <div class="stats-btn close-btn" title="Close">
+                    <i class="fa-solid fa-xmark"></i>
+                </div>
+            </div>
+            <i class="fa-solid fa-spinner fa-spin fa-2x"></i>
+            <p>正在对比: ${escapeHtml(request.a.name)} / ${escapeHtml(request.b.name)}</p>
+        </div>
+    `);
+
+    const sessions = [];
+    try {
+        const sessionA = await loadSummarySession(request.a.key, abortSignal);
+        sessions.push(sessionA);
+        let sessionB = sessionA;
+        if (request.mode !== 'ranges') {
+            sessionB = await loadSummarySession(request.b.key, abortSignal);
+            sessions.push(sessionB);
+        }
+        if (abortSignal.aborted) return;
+
+        const analyzeSelection = async (session, selection) => {
+            const { stats, dateBounds } = await session.reanalyze({
+                startDate: selection.start || null,
+                endDate: selection.end || null
+            });
+            stats.__meta = {
+                dateRange: { start: selection.start || dateBounds.min || '', end: selection.end || dateBounds.max || '' },
+                dateBounds
+            };
+            const label = request.mode === 'ranges' ? `${selection.name} · ${selection.start} ~ ${selection.end}` : selection.name;
+            return { label, stats };
+        };
+        const [a, b] = await Promise.all([
+            analyzeSelection(sessionA, request.a),
+            analyzeSelection(sessionB, request.b)
+        ]);
+        if (abortSignal.aborted) return;
+
+        const result = { mode: request.mode, a, b };
+        $('#stats-content-wrapper').html(generateComparisonHTML(result, settings.theme));
+        initComparisonCharts(result, settings.theme);
+        setupComparisonEvents({
+            onBack: () => openComparison(defaults, restore)
+        });
+    } catch (error) {
+        if (isAbortLikeError(error) || abortSignal.aborted) return;
+        logger.error('Comparison failed:', error);
+        toastr.error(`对比失败: ${error?.message || error}`, 'Stats');
+        openComparison(defaults, restore);
+    } finally {
+        sessions.forEach(session => session.terminate());
+        if (currentAbortController === abortController) {
+            currentAbortController = null;
+        }
+    }
+}
+
+/**
+ * Show the year-in-review slides, recomputed from the report's session over one calendar year
+ * @param {object} reportStats - Stats of the report the recap is opened from (its date bounds give the years)
+ * @param {object} options - { subjectName, sourceKey (drilled-down character or null), year }
+ * @param {Function} restore - Re-renders the view the recap was opened from
+ */
+async function openWrapped(reportStats, options, restore) {
+    recomputeShownReport = null;
+    const bounds = reportStats.__meta?.dateBounds;
+    if (!bounds?.min || !bounds?.max) {
+        toastr.info('没有带日期的消息，无法生成年度回顾。', 'Stats');
+        return;
+    }
+
+    // Latest year first
+    const years = [];
+    for (let year = Number(bounds.max.slice(0, 4)); year >= Number(bounds.min.slice(0, 4)); year--) {
+        years.push(String(year));
+    }
+    const year = options.year || years[0];
+
+    let session;
+    let result;
+    try {
+        // A report loaded from cache gets its session rebuilt from the summary cache
+        session = await getReportSession();
+        if (!session) return;
+        result = await session.reanalyze({
+            startDate: `${year}-01-01`,
+            endDate: `${year}-12-31`,
+            ...getAnalysisSettings()
+        }, options.sourceKey || null);
+    } catch (error) {
+        logger.error(`Year in review for ${year} failed:`, error);
+        toastr.error('无法生成年度回顾。', 'Stats');
+        return;
+    }
+    if (session !== reportSession) return;
+
+    const { stats } = result;
+    stats.__meta = { durationMode: reportStats.__meta?.durationMode || settings.durationMode };
+    $('#stats-content-wrapper').html(generateWrappedHTML(stats, { year, years, subjectName: options.subjectName }, settings.theme));
+    setupWrappedEvents({
+        onBack: restore,
+        onYearChange: (newYear) => openWrapped(reportStats, { ...options, year: newYear }, restore)
+    });
+}
+
+/**
+ * Cache key generateReport stores a report under (group, character or global, plus the range suffix)
+ * @returns {string|null} Null outside global mode when no character or group is selected
+ */
+function getReportCacheKey(context, globalMode, dateRange = null) {
+    let baseKey = null;
+    if (globalMode) {
+        baseKey = '__global__';
+    } else if (context.groupId != null) {
+        baseKey = `__group__${context.groupId}`;
+    } else if (context.characterId != null) {
+        baseKey = String(context.characterId);
+    }
+    if (baseKey === null) return null;
+    const hasExplicitRange = !!(dateRange && (dateRange.start || dateRange.end));
+    return hasExplicitRange ? `${baseKey}__${dateRange.start || ''}_${dateRange.end || ''}` : baseKey;
+}
+
+/**
+ * Compute report stats without showing the overlay (for slash commands)
+ * Uses the same scope as generateReport: the selected group, else the selected character, else all of them.
+ * A cached report computed with the current settings is returned as is; otherwise every chat list is scanned.
+ * @param {boolean} globalMode - Count all characters and groups
+ * @param {object|null} dateRange - { start, end } date keys, either may be empty
+ */
+async function computeReportStats(globalMode, dateRange) {
+    ensureSettings();
+    const context = getContextSafe();
+    if (!context) {
+        throw new Error('无法获取上下文信息。');
+    }
+    const isGroupMode = !globalMode && context.groupId != null;
+    const isGlobalMode = globalMode || (!isGroupMode && context.characterId == null);
+
+    const cacheKey = getReportCacheKey(context, isGlobalMode, dateRange);
+    const cachedEntry = settings.cache?.[cacheKey];
+    if (cachedEntry && isReportCurrent(cachedEntry.stats || cachedEntry)) {
+        const cachedStats = await getFullCachedStats(cacheKey, cachedEntry);
+        if (cachedStats?.overview) {
+            return cachedStats;
+        }
+    }
+
+    if (statsCommandAbortController) {
+        statsCommandAbortController.abort();
+    }
+    const abortController = new AbortController();
+    statsCommandAbortController = abortController;
+    const abortSignal = abortController.signal;
+
+    const session = new AnalysisSession({
+        startDate: dateRange?.start || null,
+        endDate: dateRange?.end || null,
+        datedOnly: true,
+        ...getAnalysisSettings()
+    });
+    const accurateTokens = !!settings.accurateTokens;
+    const fetchOptions = {
+        resolveCached: (chatMeta) => getCachedSummary(chatMeta, { accurateTokens }),
+        concurrency: settings.fetchConcurrency,
+        accurateTokens,
+        onChat: (chat) => session.add(chat)
+    };
+
+    try {
+        let fetchResult;
+        if (isGlobalMode) {
+            fetchResult = await fetchAllCharactersChats(null, abortSignal, fetchOptions);
+        } else if (isGroupMode) {
+            const group = (context.groups || []).find(g => g.id === context.groupId);
+            if (!group) {
+                throw new Error('无法获取群聊信息。');
+            }
+            fetchResult = await fetchGroupChats(group, null, abortSignal, fetchOptions);
+        } else {
+            const character = context.characters[context.characterId];
+            if (!character) {
+                throw new Error('无法获取角色信息。');
+            }
+            fetchResult = await fetchAllChats(character.avatar, null, abortSignal, fetchOptions);
+        }
+        if (abortSignal.aborted) {
+            throw new Error('Operation cancelled');
+        }
+
+        const fetchFailures = fetchResult.failures;
+        if (fetchFailures.length > 0) {
+            logger.warn(`${fetchFailures.length} chat files failed after retries:`, fetchFailures);
+            toastr.warning(`${fetchFailures.length} 个聊天文件读取失败，统计结果可能不完整。`, 'Stats');
+        }
+
+        const { stats } = await session.finish();
+        return stats;
+    } finally {
+        session.terminate();
+        if (statsCommandAbortController === abortController) {
+            statsCommandAbortController = null;
+        }
+    }
+}
+
+/**
+ * Cached full-range report of the current character or group (same cache key as generateReport), for macros
+ * @returns {{stats: object, updatedAt: number|null}|null}
+ */
+function getCurrentReportEntry() {
+    ensureSettings();
+    const context = getContextSafe();
+    if (!context || !settings.cache) return null;
+
+    const cacheKey = getReportCacheKey(context, false);
+    const entry = cacheKey !== null ? settings.cache[cacheKey] : null;
+    if (!entry) return null;
+    return { stats: entry.stats || entry, updatedAt: entry.updatedAt || null };
+}
+
+/**
+ * Open a chat from the dashboard's chat table in SillyTavern
+ * @param {object} chat - Row from stats.chatStats
+ */
+async function openChatInTavern(chat) {
+    const context = getContextSafe();
+    const chatId = chat.fileName.replace(/\.jsonl$/, '');
+
+    try {
+        if (chat.groupId) {
+            if (typeof context?.openGroupChat !== 'function') {
+                throw new Error('当前 SillyTavern 版本不支持打开群聊');
+            }
+            await context.openGroupChat(chat.groupId, chatId);
+        } else {
+            if (typeof context?.selectCharacterById !== 'function' || typeof context?.openCharacterChat !== 'function') {
+                throw new Error('当前 SillyTavern 版本不支持打开聊天');
+            }
+            const characterIndex = context.characters.findIndex(c => c.avatar === chat.avatarUrl);
+            if (characterIndex < 0) {
+                throw new Error('找不到该聊天所属的角色');
+            }
+            if (String(context.characterId) !== String(characterIndex)) {
+                await context.selectCharacterById(characterIndex);
+            }
+            await context.openCharacterChat(chatId);
+        }
+        closeOverlay();
+    } catch (error) {
+        logger.error(`Failed to open chat ${chat.fileName}:`, error);
+        toastr.error(`无法打开聊天: ${error?.message || error}`, 'Stats');
+    }
+}
+
 /**
  * Add button to wand menu
  */
@@ -626,7 +1430,7 @@ function cleanupLocalStorageBackup(days) {
     return removed;
 }
 
-function runCacheCleanup(days, reason = 'manual') {
+async function runCacheCleanup(days, reason = 'manual') {
     ensureSettings();
     const safeDays = Math.max(1, Math.floor(Number(days) || CONFIG.DEFAULT_SETTINGS.cacheCleanupDays));
     const removedCache = cleanupCache(safeDays);
@@ -636,8 +1440,10 @@ function runCacheCleanup(days, reason = 'manual') {
         saveSettingsNow();
     }
 
-    logger.log(`Cache cleanup (${reason}): settings=${removedCache}, localStorage=${removedBackup}, days=${safeDays}`);
-    return { removedCache, removedBackup };
+    const { summaries: removedSummaries, tokenCounts: removedTokenCounts, reports: removedReports } = await cleanupSummaries(safeDays);
+
+    logger.log(`Cache cleanup (${reason}): settings=${removedCache}, localStorage=${removedBackup}, summaries=${removedSummaries}, tokenCounts=${removedTokenCounts}, reports=${removedReports}, days=${safeDays}`);
+    return { removedCache, removedBackup, removedSummaries, removedTokenCounts, removedReports };
 }
 
 /**
@@ -645,6 +1451,20 @@ function runCacheCleanup(days, reason = 'manual') {
  */
 function addSettingsPanel() {
     ensureSettings();
+    const durationPresetOptions = Object.entries(CONFIG.DURATION_PRESETS)
+        .map(([key, preset]) => `<option value="${key}">${preset.name}</option>`)
+        .join('');
+    const durationFieldRows = DURATION_FIELDS.map(({ key, label }) => `
+                    <div class="stats-setting-row stats-field-row">
+                        <label class="stats-setting-label">${label}</label>
+                        <input type="number" id="stats_duration_${key}" class="stats-input" min="1" step="any" />
+                    </div>
+    `).join('');
+    const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    const timeZoneOptions = (typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [])
+        .map(timeZone => `<option value="${timeZone}"></option>`)
+        .join('');
+    const dayStartOptions = Array.from({ length: 13 }, (_, hour) => `<option value="${hour}">${String(hour).padStart(2, '0')}:00</option>`).join('');
     const panelHTML = `
         <div class="stats-settings">
             <div class="inline-drawer">
@@ -655,7 +1475,7 @@ function addSettingsPanel() {
                 <div class="inline-drawer-content stats-drawer" style="display: none;">
                     <p>分析聊天记录并生成统计报告。</p>
                     <button id="${CONFIG.ANALYZE_BUTTON_ID}" class="menu_button">
-                        <i class="fa-solid fa-calculator"></i> 当前角色统计
+                        <i class="fa-solid fa-calculator"></i> 当前角色/群聊统计
                     </button>
                     <button id="${CONFIG.ANALYZE_BUTTON_ID}_global" class="menu_button" style="margin-top: 5px;">
                         <i class="fa-solid fa-globe"></i> 全部角色统计
@@ -673,6 +1493,52 @@ function addSettingsPanel() {
                             <i class="fa-solid fa-broom"></i> 立即清理
                         </button>
                     </div>
+                    <div class="stats-setting-divider"></div>
+                    <div class="stats-setting-row">
+                        <label class="stats-setting-label">并发请求数</label>
+                        <input type="number" id="stats_fetch_concurrency" class="stats-input" min="1" max="20" />
+                    </div>
+                    <div class="stats-setting-row">
+                        <label class="stats-setting-label" title="使用与每条消息模型匹配的 SillyTavern 分词器统计 Token。未缓存的消息按分词器合并成批请求，无法拆分批量结果时逐条请求，聊天记录较多时首次统计较慢；结果会按消息缓存">
+                            <input type="checkbox" id="stats_accurate_tokens" /> 精确 Token 计数
+                        </label>
+                    </div>
+                    <div class="stats-setting-divider"></div>
+                    <div class="stats-setting-row stats-field-row">
+                        <label class="stats-setting-label" title="时长为估算值：用户消息按打字速度、AI 消息按阅读速度计算，间隔超过会话间隔的时间不计入">时长估算</label>
+                        <select id="stats_duration_preset" class="stats-input">
+                            ${durationPresetOptions}
+                            <option value="custom">自定义</option>
+                        </select>
+                    </div>
+                    ${durationFieldRows}
+                    <div class="stats-setting-divider"></div>
+                    <div class="stats-setting-row stats-field-row">
+                        <label class="stats-setting-label" title="IANA 时区名称，如 Asia/Shanghai；留空则使用浏览器时区">时区</label>
+                        <input type="text" id="stats_time_zone" class="stats-input stats-input-wide" list="stats_time_zone_list" placeholder="${escapeHtml(browserTimeZone)}" />
+                        <datalist id="stats_time_zone_list">${timeZoneOptions}</datalist>
+                    </div>
+                    <div class="stats-setting-row stats-field-row">
+                        <label class="stats-setting-label" title="早于该时刻的消息计入前一天，避免深夜会话被拆成两天">每天开始于</label>
+                        <select id="stats_day_start_hour" class="stats-input">${dayStartOptions}</select>
+                    </div>
+                    <div class="stats-setting-divider"></div>
+                    <div class="stats-setting-row">
+                        <label class="stats-setting-label" title="按顺序匹配消息的模型名（不区分大小写，* 为通配符），使用第一条匹配的价格；默认价格仅供参考">模型价格（美元 / 百万 Token：模型、输入、输出）</label>
+                    </div>
+                    <div id="stats_pricing_rows" class="stats-pricing-rows"></div>
+                    <div class="stats-setting-row">
+                        <button id="stats_pricing_add" class="menu_button stats-small-button">
+                            <i class="fa-solid fa-plus"></i> 添加价格
+                        </button>
+                        <button id="stats_pricing_reset" class="menu_button stats-small-button">
+                            <i class="fa-solid fa-rotate-left"></i> 恢复默认
+                        </button>
+                    </div>
+                    <div class="stats-setting-row stats-field-row">
+                        <label class="stats-setting-label" title="每次生成都按之前的聊天记录作为输入计费，最多计入这么多 Token（未计入角色卡、世界书等提示词）">上下文上限 (Token)</label>
+                        <input type="number" id="stats_pricing_context" class="stats-input" min="1" step="1" />
+                    </div>
                 </div>
             </div>
         </div>
@@ -708,11 +1574,80 @@ function addSettingsPanel() {
         }
     });
 
-    $('#stats_cache_cleanup_now').on('click', () => {
+    $('#stats_fetch_concurrency').val(settings.fetchConcurrency);
+    $('#stats_fetch_concurrency').on('change', (e) => {
+        const num = Math.max(1, Math.floor(Number(e.target.value) || CONFIG.DEFAULT_SETTINGS.fetchConcurrency));
+        settings.fetchConcurrency = Math.min(num, 20);
+        $('#stats_fetch_concurrency').val(settings.fetchConcurrency);
+        saveSettingsNow();
+    });
+
+    $('#stats_accurate_tokens').prop('checked', !!settings.accurateTokens);
+    $('#stats_accurate_tokens').on('change', (e) => {
+        settings.accurateTokens = !!e.target.checked;
+        saveSettingsNow();
+        if (globalThis.toastr) {
+            globalThis.toastr.info('将在下次刷新统计报告时生效。', 'Stats');
+        }
+    });
+
+    syncDurationSettingsInputs();
+    $('#stats_duration_preset').on('change', (e) => {
+        // "自定义" keeps the current values for editing
+        if (!CONFIG.DURATION_PRESETS[e.target.value]) return;
+        applyDurationPreset(e.target.value);
+        recomputeShownReportForSettings();
+    });
+    DURATION_FIELDS.forEach(({ key }) => {
+        $(`#stats_duration_${key}`).on('change', (e) => {
+            settings.durationModel = normalizeDurationModel({ ...settings.durationModel, [key]: Number(e.target.value) });
+            saveSettingsNow();
+            syncDurationSettingsInputs();
+            recomputeShownReportForSettings();
+        });
+    });
+
+    $('#stats_time_zone').val(settings.timeZone);
+    $('#stats_time_zone').on('change', (e) => {
+        const timeZone = e.target.value.trim();
+        if (!isValidTimeZone(timeZone)) {
+            toastr.error(`无效的时区: ${timeZone}`, 'Stats');
+            $('#stats_time_zone').val(settings.timeZone);
+            return;
+        }
+        settings.timeZone = timeZone;
+        $('#stats_time_zone').val(timeZone);
+        saveSettingsNow();
+    });
+
+    $('#stats_day_start_hour').val(String(settings.dayStartHour));
+    $('#stats_day_start_hour').on('change', (e) => {
+        settings.dayStartHour = Number(e.target.value) || 0;
+        saveSettingsNow();
+    });
+
+    renderPricingRows();
+    $('#stats_pricing_rows').on('change', 'input', savePricingFromInputs);
+    $('#stats_pricing_rows').on('click', '.stats-pricing-remove', (e) => {
+        $(e.currentTarget).closest('.stats-pricing-row').remove();
+        savePricingFromInputs();
+    });
+    $('#stats_pricing_context').on('change', savePricingFromInputs);
+    $('#stats_pricing_add').on('click', () => {
+        // Saved once a model pattern is entered
+        $('#stats_pricing_rows').append(getPricingRowHTML());
+    });
+    $('#stats_pricing_reset').on('click', () => {
+        settings.pricing = normalizePricing(null);
+        saveSettingsNow();
+        renderPricingRows();
+    });
+
+    $('#stats_cache_cleanup_now').on('click', async () => {
         const days = normalizeDays($('#stats_cache_cleanup_days').val());
-        const result = runCacheCleanup(days, 'manual');
+        const result = await runCacheCleanup(days, 'manual');
         if (globalThis.toastr) {
-            globalThis.toastr.success(`已清理缓存：设置 ${result.removedCache} 条，本地备份 ${result.removedBackup} 条`, 'Stats');
+            globalThis.toastr.success(`已清理缓存：设置 ${result.removedCache} 条，本地备份 ${result.removedBackup} 条，聊天摘要 ${result.removedSummaries} 条，Token 计数 ${result.removedTokenCounts} 条，报告 ${result.removedReports} 份`, 'Stats');
         }
     });
 }
@@ -737,6 +1672,14 @@ jQuery(async () => {
         // Add UI elements
         addSettingsPanel();
         addWandMenuButton();
+        registerSlashCommands({
+            openReport: (globalMode, dateRange) => generateReport(false, globalMode, dateRange),
+            getStats: computeReportStats
+        });
+        registerStatsMacros({
+            getReportEntry: getCurrentReportEntry,
+            getClockOptions: () => ({ timeZone: settings.timeZone, dayStartHour: settings.dayStartHour })
+        });
 
         // Auto cleanup cache on startup if enabled
         if (settings.cacheCleanupEnabled) {
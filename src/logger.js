@@ -20,7 +20,7 @@ export class Logger {
     }
 
     debug(...args) {
-        if (window.DEBUG) {
+        if (globalThis.DEBUG) {
             console.debug(this.prefix, this.style, ...args);
         }
     }
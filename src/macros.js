@@ -0,0 +1,85 @@
+/**
+ * Prompt macros for the current character or group ({{stats_total_messages}} etc.)
+ * Totals come from the cached full-range report, topped up with messages of the open chat sent after it was
+ * generated, and are empty until a report exists; "today" figures come from the open chat alone.
+ */
+import { Logger } from './logger.js';
+import { parseDate, createDayClock, dateKeyToDayNumber } from './analyzer.js';
+
+const logger = new Logger('Stats-Macros');
+
+/**
+ * Timestamps of the dated messages in the open chat
+ */
+function getLiveMessageTimes() {
+    const chat = globalThis.SillyTavern?.getContext?.()?.chat;
+    if (!Array.isArray(chat)) return [];
+    return chat
+        .map(message => parseDate(message?.send_date))
+        .filter(Boolean)
+        .map(date => date.getTime());
+}
+
+/**
+ * Register the stats macros
+ * @param {object} options
+ * @param {Function} options.getReportEntry - () => { stats, updatedAt } of the current character's cached report, or null
+ * @param {Function} options.getClockOptions - () => { timeZone, dayStartHour } for day bucketing
+ */
+export function registerStatsMacros({ getReportEntry, getClockOptions }) {
+    const context = globalThis.SillyTavern?.getContext?.();
+    if (typeof context?.registerMacro !== 'function') {
+        logger.warn('Macro API not available.');
+        return;
+    }
+
+    // The open chat alone would pass off its own first day as the first chat ever
+    const getFirstChatDate = () => getReportEntry()?.stats?.overview?.firstDateISO || '';
+
+    const macros = {
+        stats_messages_today: {
+            description: '当前聊天中今天的消息数',
+            value: () => {
+                const clock = createDayClock(getClockOptions());
+                const todayKey = clock.dayKey(Date.now());
+                return String(getLiveMessageTimes().filter(ts => clock.dayKey(ts) === todayKey).length);
+            }
+        },
+        stats_total_messages: {
+            description: '与当前角色/群聊的总消息数（统计报告缓存 + 之后的新消息；未生成过报告时为空）',
+            value: () => {
+                const entry = getReportEntry();
+                if (!entry?.stats?.overview) return '';
+                // Entries from older versions have no timestamp, so nothing can be safely added to them
+                const newer = entry.updatedAt ? getLiveMessageTimes().filter(ts => ts > entry.updatedAt).length : 0;
+                return String(entry.stats.overview.totalMessages + newer);
+            }
+        },
+        stats_first_chat_date: {
+            description: '与当前角色/群聊第一次聊天的日期 (YYYY-MM-DD，未生成过报告时为空)',
+            value: () => getFirstChatDate()
+        },
+        stats_days_together: {
+            description: '自第一次聊天以来的天数（第一天计为 1，未生成过报告时为空）',
+            value: () => {
+                const firstDate = getFirstChatDate();
+                if (!firstDate) return '';
+                const clock = createDayClock(getClockOptions());
+                return String(dateKeyToDayNumber(clock.dayKey(Date.now())) - dateKeyToDayNumber(firstDate) + 1);
+            }
+        }
+    };
+
+    Object.entries(macros).forEach(([name, macro]) => {
+        context.registerMacro(name, () => {
+            try {
+                return macro.value();
+            } catch (error) {
+                logger.warn(`Failed to resolve {{${name}}}:`, error);
+                return '';
+            }
+        }, macro.description);
+    });
+
+    logger.log('Registered macros.');
+}
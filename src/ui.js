@@ -3,10 +3,22 @@
  */
 import html2canvas from 'html2canvas';
 import { Logger } from './logger.js';
+import { CONFIG } from './config.js';
+import { getDurationPresetKey } from './analyzer.js';
+import { evaluateAchievements } from './achievements.js';
 import Chart from 'chart.js/auto';
 
 const logger = new Logger('Stats-UI');
 let charts = {}; // Store chart instances to destroy them later
+let heatmapState = null; // Calendar heatmap: { stats, year, metric }
+let hourlySeries = null; // Hourly line chart data by scope: { all, weekday, weekend }
+let modelTimelineState = null; // Model usage timeline: { stats, colorRGB }
+let chatTableState = null; // Chat table: { rows, sortKey, sortDir, query }
+let selectCharacterHandler = null; // Global report: open a character's dashboard (set by setupDashboardEvents)
+
+const CHAT_TABLE_LIMIT = 200;
+
+const WEEKDAY_LABELS = ['周一', '周二', '周三', '周四', '周五', '周六', '周日'];
 
 // Theme definitions
 export const THEMES = {
@@ -43,6 +55,20 @@ function parseLocalDateKey(dateKey) {
     return new Date(year, month - 1, day);
 }
 
+/**
+ * Per-character message counts keyed by source (avatar / group:<id>)
+ * Reports cached before characterSources existed only have the name-keyed characterStats.
+ */
+function getCharacterSources(stats) {
+    return stats.characterSources
+        || Object.fromEntries(Object.entries(stats.characterStats || {}).map(([name, messages]) => [name, { name, messages }]));
+}
+
+// Groups can be named like a character, so mark them
+function getSourceLabel(source) {
+    return source.isGroup ? `${source.name} (群聊)` : source.name;
+}
+
 /**
  * Cleanup existing charts
  */
@@ -63,6 +89,151 @@ function formatNumber(num) {
     return num.toLocaleString();
 }
 
+/**
+ * Format minutes as "X小时 Y分钟"
+ */
+function formatMinutes(mins) {
+    if (mins >= 60) {
+        return `${Math.floor(mins / 60)}小时 ${mins % 60}分钟`;
+    }
+    return `${mins}分钟`;
+}
+
+/**
+ * Duration mode of a report: 'estimate' (from message lengths) or 'wallClock' (real elapsed time)
+ */
+function getDurationMode(stats) {
+    return stats.wallClock && stats.__meta?.durationMode === 'wallClock' ? 'wallClock' : 'estimate';
+}
+
+/**
+ * Stats as displayed: in wall-clock mode the duration fields are taken from stats.wallClock
+ */
+function getDurationView(stats) {
+    if (getDurationMode(stats) !== 'wallClock') return stats;
+    return {
+        ...stats,
+        overview: { ...stats.overview, totalDurationMinutes: stats.wallClock.totalMinutes },
+        dailyDuration: stats.wallClock.daily,
+        sessions: stats.wallClock.sessions
+    };
+}
+
+/**
+ * Years that have activity, ascending
+ */
+function getHeatmapYears(stats) {
+    const years = new Set(Object.keys(stats.dailyActivity || {}).map(key => Number(key.slice(0, 4))));
+    return [...years].filter(Number.isFinite).sort((a, b) => a - b);
+}
+
+/**
+ * Generate GitHub-style calendar heatmap for one year
+ * Columns are weeks (Monday first), rows are weekdays.
+ */
+function generateCalendarHeatmapHTML(stats, year, metric = 'messages') {
+    const values = metric === 'duration' ? (stats.dailyDuration || {}) : (stats.dailyActivity || {});
+    const years = getHeatmapYears(stats);
+    const yearStart = new Date(year, 0, 1);
+    // Weeks start on Monday, like the weekday × hour matrix and the weekly check-in
+    const leadingDays = (yearStart.getDay() + 6) % 7;
+
+    const days = [];
+    const currentDate = new Date(yearStart);
+    while (currentDate.getFullYear() === year) {
+        days.push(formatLocalDateKey(currentDate));
+        currentDate.setDate(currentDate.getDate() + 1);
+    }
+
+    const maxValue = Math.max(...days.map(day => values[day] || 0), 1);
+    const weeks = Math.ceil((leadingDays + days.length) / 7);
+    const yearTotal = days.reduce((sum, day) => sum + (values[day] || 0), 0);
+
+    // Month labels positioned at the week column containing the 1st
+    let monthsHTML = '';
+    for (let month = 0; month < 12; month++) {
+        const firstDay = new Date(year, month, 1);
+        const dayOfYear = Math.round((firstDay - yearStart) / (24 * 60 * 60 * 1000));
+        const column = Math.floor((leadingDays + dayOfYear) / 7) + 1;
+        monthsHTML += `<span style="grid-column: ${column} / span 3;">${month + 1}月</span>`;
+    }
+
+    // Highlight the day when the dashboard is filtered to a single date
+    const range = stats.__meta?.dateRange;
+    const selectedDay = range?.start && range.start === range.end ? range.start : null;
+
+    let cellsHTML = '';
+    for (let i = 0; i < leadingDays; i++) {
+        cellsHTML += '<div class="heatmap-cell empty"></div>';
+    }
+    days.forEach(day => {
+        const value = values[day] || 0;
+        const level = value > 0 ? Math.min(4, Math.ceil((value / maxValue) * 4)) : 0;
+        const label = metric === 'duration' ? formatMinutes(value) : `${value} 条消息`;
+        const activeClass = day === selectedDay ? ' active' : '';
+        cellsHTML += `<div class="heatmap-cell heatmap-level-${level}${activeClass}" data-date="${day}" title="${day}: ${label}"></div>`;
+    });
+
+    const gridColumns = `grid-template-columns: repeat(${weeks}, minmax(0, 1fr));`;
+    const yearIndex = years.indexOf(year);
+    const totalLabel = metric === 'duration' ? formatMinutes(yearTotal) : `${yearTotal.toLocaleString()} 条消息`;
+
+    return `
+        <div class="heatmap-toolbar">
+            <div class="heatmap-year-nav">
+                <button class="heatmap-year-btn" data-step="-1" ${yearIndex <= 0 ? 'disabled' : ''}><i class="fa-solid fa-chevron-left"></i></button>
+                <span class="heatmap-year-label">${year}</span>
+                <button class="heatmap-year-btn" data-step="1" ${yearIndex >= years.length - 1 ? 'disabled' : ''}><i class="fa-solid fa-chevron-right"></i></button>
+                <span class="heatmap-year-total">${totalLabel}</span>
+            </div>
+            <div class="heatmap-metric-toggle">
+                <button class="heatmap-metric-btn ${metric === 'messages' ? 'active' : ''}" data-metric="messages">消息</button>
+                <button class="heatmap-metric-btn ${metric === 'duration' ? 'active' : ''}" data-metric="duration">时长</button>
+            </div>
+        </div>
+        <div class="heatmap-scroll-wrapper">
+            <div class="heatmap-months" style="${gridColumns}">${monthsHTML}</div>
+            <div class="heatmap-grid heatmap-calendar" style="${gridColumns}">${cellsHTML}</div>
+        </div>
+        <div class="heatmap-legend">
+            <span>少</span>
+            <div class="heatmap-cell heatmap-level-0"></div>
+            <div class="heatmap-cell heatmap-level-1"></div>
+            <div class="heatmap-cell heatmap-level-2"></div>
+            <div class="heatmap-cell heatmap-level-3"></div>
+            <div class="heatmap-cell heatmap-level-4"></div>
+            <span>多</span>
+        </div>
+        <div id="heatmap-details-panel">
+            <span class="heatmap-detail-item"><i class="fa-solid fa-hand-pointer heatmap-detail-icon"></i> 悬停查看当日详情，点击日期可筛选至该日</span>
+        </div>
+    `;
+}
+
+/**
+ * Render the calendar heatmap card from heatmapState
+ */
+function renderCalendarHeatmap() {
+    const $body = $('#stats-overlay .calendar-heatmap-body');
+    if (!$body.length || !heatmapState) return;
+    $body.html(generateCalendarHeatmapHTML(heatmapState.stats, heatmapState.year, heatmapState.metric));
+}
+
+/**
+ * Generate details for a hovered heatmap day
+ */
+function generateHeatmapDetailsHTML(stats, dateKey) {
+    const messages = stats.dailyActivity?.[dateKey] || 0;
+    const minutes = stats.dailyDuration?.[dateKey] || 0;
+    const chats = stats.dailyFileCounts?.[dateKey] || 0;
+    return `
+        <span class="heatmap-detail-item"><i class="fa-solid fa-calendar-day heatmap-detail-icon"></i> ${dateKey}</span>
+        <span class="heatmap-detail-item"><i class="fa-solid fa-comments heatmap-detail-icon"></i> ${messages} 条消息</span>
+        <span class="heatmap-detail-item"><i class="fa-solid fa-hourglass-half heatmap-detail-icon"></i> ${formatMinutes(minutes)}</span>
+        <span class="heatmap-detail-item"><i class="fa-solid fa-file-lines heatmap-detail-icon"></i> ${chats} 个聊天</span>
+    `;
+}
+
 /**
  * Generate 24-hour heatmap HTML (Visual Gradient Strip)
  */
@@ -94,10 +265,204 @@ function generateHourlyHeatmapHTML(hourlyActivity, themeColor = '139, 92, 246')
     return heatmapHTML;
 }
 
+/**
+ * Generate weekday × hour heatmap HTML (7 rows, Monday first)
+ * Renders both the message and minute matrices; the toggle switches which one is visible.
+ */
+function generateWeekdayHourHeatmapHTML(weekdayHourActivity, themeColor = '139, 92, 246') {
+    if (!weekdayHourActivity) return '';
+
+    const renderMatrix = (matrix, metric) => {
+        const maxValue = Math.max(...matrix.flat(), 1);
+        let html = `<div class="weekday-hour-grid" data-metric="${metric}" ${metric !== 'messages' ? 'style="display: none;"' : ''}>`;
+        matrix.forEach((row, weekday) => {
+            html += `<span class="weekday-hour-label">${WEEKDAY_LABELS[weekday]}</span>`;
+            row.forEach((value, hour) => {
+                const alpha = value > 0 ? 0.3 + (value / maxValue) * 0.7 : 0.05;
+                const label = metric === 'minutes' ? `约 ${value} 分钟` : `${value} 条消息`;
+                html += `<div class="weekday-hour-cell" title="${WEEKDAY_LABELS[weekday]} ${hour}:00 - ${hour}:59 : ${label}" style="background-color: rgba(${themeColor}, ${alpha});"></div>`;
+            });
+        });
+        html += `</div>`;
+        return html;
+    };
+
+    return `
+        <div class="weekday-hour-container">
+            <div class="heatmap-toolbar">
+                <span class="weekday-hour-title">星期 × 小时</span>
+                <div class="heatmap-metric-toggle">
+                    <button class="hourly-toggle-btn weekday-hour-metric-btn active" data-metric="messages">消息</button>
+                    <button class="hourly-toggle-btn weekday-hour-metric-btn" data-metric="minutes">时长</button>
+                </div>
+            </div>
+            ${renderMatrix(weekdayHourActivity.messages, 'messages')}
+            ${renderMatrix(weekdayHourActivity.minutes, 'minutes')}
+        </div>
+    `;
+}
+
+/**
+ * Generate notice listing chat files that could not be fetched after retries
+ */
+function generateFetchFailuresHTML(failures) {
+    if (!failures || failures.length === 0) return '';
+
+    const items = failures.map(failure => {
+        const owner = escapeHtml(failure.character_name || '未知角色');
+        const target = failure.file_name ? escapeHtml(failure.file_name) : '聊天列表';
+        return `<li><span>${owner}</span> / <span>${target}</span> <small>${escapeHtml(failure.error)}</small></li>`;
+    }).join('');
+
+    return `
+        <details class="stats-fetch-warning">
+            <summary><i class="fa-solid fa-triangle-exclamation"></i> ${failures.length} 个聊天文件读取失败，以下数据未计入统计</summary>
+            <ul>${items}</ul>
+        </details>
+    `;
+}
+
+/**
+ * Varied colors for share charts, the first one follows the theme
+ */
+function getShareColors(colorRGB) {
+    return [
+        `rgba(${colorRGB}, 0.8)`,
+        'rgba(59, 130, 246, 0.8)',
+        'rgba(16, 185, 129, 0.8)',
+        'rgba(245, 158, 11, 0.8)',
+        'rgba(239, 68, 68, 0.8)',
+        'rgba(236, 72, 153, 0.8)',
+        'rgba(99, 102, 241, 0.8)',
+        'rgba(20, 184, 166, 0.8)',
+        'rgba(217, 70, 239, 0.8)',
+        'rgba(249, 115, 22, 0.8)'
+    ];
+}
+
+/**
+ * Doughnut chart of message counts by key (top 10, the rest merged into Others)
+ */
+function createShareDoughnut(canvas, counts, colorRGB) {
+    const entries = Object.entries(counts || {}).sort(([, a], [, b]) => b - a);
+
+    let labels = [];
+    let data = [];
+
+    if (entries.length > 10) {
+        const top10 = entries.slice(0, 10);
+        const others = entries.slice(10);
+        labels = top10.map(e => e[0]);
+        data = top10.map(e => e[1]);
+        const otherCount = others.reduce((sum, e) => sum + e[1], 0);
+        labels.push('Others');
+        data.push(otherCount);
+    } else {
+        labels = entries.map(e => e[0]);
+        data = entries.map(e => e[1]);
+    }
+
+    return new Chart(canvas, {
+        type: 'doughnut',
+        data: {
+            labels: labels,
+            datasets: [{
+                data: data,
+                backgroundColor: getShareColors(colorRGB),
+                borderWidth: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'right',
+                    labels: {
+                        color: '#e5e7eb',
+                        boxWidth: 10,
+                        font: { size: 10 }
+                    }
+                }
+            },
+            cutout: '60%'
+        }
+    });
+}
+
+/**
+ * Bucket key for the model timeline: the day itself, the Monday of its week, or YYYY-MM
+ */
+function getPeriodKey(dateKey, period) {
+    if (period === 'month') return dateKey.slice(0, 7);
+    if (period === 'week') {
+        const date = parseLocalDateKey(dateKey);
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        return formatLocalDateKey(date);
+    }
+    return dateKey;
+}
+
+/**
+ * Pick a default timeline granularity that keeps the number of bars readable
+ */
+function getDefaultModelTimelinePeriod(dailyModelUsage) {
+    const dates = Object.keys(dailyModelUsage).sort();
+    if (dates.length === 0) return 'day';
+    const spanDays = (parseLocalDateKey(dates[dates.length - 1]) - parseLocalDateKey(dates[0])) / 86400000;
+    if (spanDays <= 62) return 'day';
+    return spanDays <= 730 ? 'week' : 'month';
+}
+
+/**
+ * Stacked model usage per period, with the same top 10 + Others grouping as the model pie.
+ * Periods without AI messages between the first and last one are kept as empty bars.
+ */
+function buildModelTimelineData(stats, period, colorRGB) {
+    const modelEntries = Object.entries(stats.models).sort(([, a], [, b]) => b - a);
+    const topModels = modelEntries.slice(0, 10).map(e => e[0]);
+    const hasOthers = modelEntries.length > 10;
+
+    const buckets = {};
+    const dates = Object.keys(stats.dailyModelUsage).sort();
+    dates.forEach(dateKey => {
+        const periodKey = getPeriodKey(dateKey, period);
+        if (!buckets[periodKey]) buckets[periodKey] = {};
+        Object.entries(stats.dailyModelUsage[dateKey]).forEach(([model, count]) => {
+            const series = topModels.includes(model) ? model : 'Others';
+            buckets[periodKey][series] = (buckets[periodKey][series] || 0) + count;
+        });
+    });
+
+    const labels = [];
+    if (dates.length > 0) {
+        const current = parseLocalDateKey(dates[0]);
+        const last = parseLocalDateKey(dates[dates.length - 1]);
+        while (current <= last) {
+            const periodKey = getPeriodKey(formatLocalDateKey(current), period);
+            if (labels[labels.length - 1] !== periodKey) labels.push(periodKey);
+            current.setDate(current.getDate() + 1);
+        }
+    }
+
+    const colors = getShareColors(colorRGB);
+    const series = hasOthers ? [...topModels, 'Others'] : topModels;
+    return {
+        labels,
+        datasets: series.map((name, i) => ({
+            label: name,
+            data: labels.map(label => buckets[label]?.[name] || 0),
+            backgroundColor: name === 'Others' ? 'rgba(156, 163, 175, 0.6)' : colors[i],
+            borderWidth: 0
+        }))
+    };
+}
+
 /**
  * Render Chart.js charts after DOM insertion
  */
-export function initCharts(stats, themeKey = 'violet') {
+export function initCharts(reportStats, themeKey = 'violet') {
+    const stats = getDurationView(reportStats);
     cleanupCharts();
 
     const theme = THEMES[themeKey] || THEMES.violet;
@@ -186,6 +551,14 @@ export function initCharts(stats, themeKey = 'violet') {
     }
 
     // 2. Hourly Activity Chart (Line Chart)
+    const matrix = stats.weekdayHourActivity?.messages;
+    const sumRows = (rows) => Array.from({ length: 24 }, (_, hour) => rows.reduce((sum, row) => sum + row[hour], 0));
+    hourlySeries = {
+        all: stats.hourlyActivity,
+        weekday: matrix ? sumRows(matrix.slice(0, 5)) : null,
+        weekend: matrix ? sumRows(matrix.slice(5)) : null
+    };
+
     const ctxHourly = document.getElementById('hourlyChart');
     if (ctxHourly) {
         charts.hourly = new Chart(ctxHourly, {
@@ -239,88 +612,72 @@ export function initCharts(stats, themeKey = 'violet') {
         });
     }
 
-    // 3. Model Preference (Pie Chart)
+    // 3. Model Preference / API Source (Pie Charts)
     const ctxModel = document.getElementById('modelPieChart');
     if (ctxModel) {
-        const modelEntries = Object.entries(stats.models).sort(([, a], [, b]) => b - a);
-        
-        let labels = [];
-        let data = [];
-        
-        if (modelEntries.length > 10) {
-            const top10 = modelEntries.slice(0, 10);
-            const others = modelEntries.slice(10);
-            labels = top10.map(e => e[0]);
-            data = top10.map(e => e[1]);
-            const otherCount = others.reduce((sum, e) => sum + e[1], 0);
-            labels.push('Others');
-            data.push(otherCount);
-        } else {
-            labels = modelEntries.map(e => e[0]);
-            data = modelEntries.map(e => e[1]);
-        }
-
-        // Generate colors based on theme but varied
-        const bgColors = [
-            `rgba(${colorRGB}, 0.8)`, // Primary
-            'rgba(59, 130, 246, 0.8)',
-            'rgba(16, 185, 129, 0.8)',
-            'rgba(245, 158, 11, 0.8)',
-            'rgba(239, 68, 68, 0.8)',
-            'rgba(236, 72, 153, 0.8)',
-            'rgba(99, 102, 241, 0.8)',
-            'rgba(20, 184, 166, 0.8)',
-            'rgba(217, 70, 239, 0.8)',
-            'rgba(249, 115, 22, 0.8)'
-        ];
-
-        // Ensure the first color matches theme (if not already handled by manual array)
-        if (themeKey !== 'violet') {
-             // Just keeping the array is simpler, chartjs will cycle or we can construct it dynamically
-             // For now, let's just make the FIRST one the theme color
-             bgColors[0] = `rgba(${colorRGB}, 0.8)`;
-        }
-
-        charts.model = new Chart(ctxModel, {
-            type: 'doughnut',
-            data: {
-                labels: labels,
-                datasets: [{
-                    data: data,
-                    backgroundColor: bgColors,
-                    borderWidth: 0
-                }]
-            },
+        charts.model = createShareDoughnut(ctxModel, stats.models, colorRGB);
+    }
+    const ctxProvider = document.getElementById('providerPieChart');
+    if (ctxProvider && stats.providers) {
+        charts.provider = createShareDoughnut(ctxProvider, stats.providers, colorRGB);
+    }
+
+    // 4. Model Usage Over Time (Stacked Bar Chart)
+    const ctxModelTimeline = document.getElementById('modelTimelineChart');
+    modelTimelineState = null;
+    if (ctxModelTimeline && stats.dailyModelUsage) {
+        modelTimelineState = { stats, colorRGB };
+        const period = getDefaultModelTimelinePeriod(stats.dailyModelUsage);
+        $('.model-timeline-btn').removeClass('active').filter(`[data-period="${period}"]`).addClass('active');
+        charts.modelTimeline = new Chart(ctxModelTimeline, {
+            type: 'bar',
+            data: buildModelTimelineData(stats, period, colorRGB),
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
                     legend: {
-                        position: 'right',
+                        position: 'bottom',
                         labels: {
                             color: '#e5e7eb',
                             boxWidth: 10,
                             font: { size: 10 }
                         }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: (item) => item.raw > 0
                     }
                 },
-                cutout: '60%'
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: { display: false },
+                        ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true, maxTicksLimit: 12 }
+                    },
+                    y: {
+                        stacked: true,
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                        ticks: { color: '#9ca3af', precision: 0 },
+                        beginAtZero: true
+                    }
+                }
             }
         });
     }
 
-    // 4. Character Ranking (Horizontal Bar Chart - Global Mode Only)
+    // 5. Character Ranking (Horizontal Bar Chart - Global Mode Only)
     const ctxCharRanking = document.getElementById('characterRankingChart');
-    if (ctxCharRanking && stats.characterStats) {
-        // 按消息数排序，取前 20 个
-        const charEntries = Object.entries(stats.characterStats)
-            .sort(([, a], [, b]) => b - a)
-            .slice(0, 20);
-
-        if (charEntries.length === 0) return;
-        
-        const charLabels = charEntries.map(e => e[0]);
-        const charData = charEntries.map(e => e[1]);
+    // 按消息数排序，取前 20 个 (an empty ranking must not skip the charts below)
+    const charEntries = ctxCharRanking && stats.characterStats
+        ? Object.entries(getCharacterSources(stats))
+            .sort(([, a], [, b]) => b.messages - a.messages)
+            .slice(0, 20)
+        : [];
+    if (charEntries.length > 0) {
+        const charLabels = charEntries.map(([, source]) => getSourceLabel(source));
+        const charData = charEntries.map(([, source]) => source.messages);
 
         charts.charRanking = new Chart(ctxCharRanking, {
             type: 'bar',
@@ -338,12 +695,23 @@ export function initCharts(stats, themeKey = 'violet') {
                 indexAxis: 'y', // 横向柱状图
                 responsive: true,
                 maintainAspectRatio: false,
+                // Click a bar to drill into that character's dashboard
+                onClick: (event) => {
+                    const [element] = charts.charRanking.getElementsAtEventForMode(event, 'y', { intersect: false }, true);
+                    if (element && selectCharacterHandler) {
+                        selectCharacterHandler(charEntries[element.index][0]);
+                    }
+                },
+                onHover: (event, elements) => {
+                    event.native.target.style.cursor = elements.length > 0 && selectCharacterHandler ? 'pointer' : 'default';
+                },
                 plugins: {
                     legend: { display: false },
                     tooltip: {
                         callbacks: {
                             title: (items) => items[0].label,
-                            label: (item) => `消息数: ${item.raw.toLocaleString()}`
+                            label: (item) => `消息数: ${item.raw.toLocaleString()}`,
+                            footer: () => selectCharacterHandler ? '点击查看该角色的统计' : ''
                         }
                     }
                 },
@@ -365,7 +733,7 @@ export function initCharts(stats, themeKey = 'violet') {
         });
     }
 
-    // 5. Duration Gauge Chart (Doughnut)
+    // 6. Duration Gauge Chart (Doughnut)
     const ctxDurationGauge = document.getElementById('durationGaugeChart');
     if (ctxDurationGauge && stats.overview.totalDurationMinutes !== undefined) {
         const totalMinutes = stats.overview.totalDurationMinutes || 0;
@@ -417,7 +785,7 @@ export function initCharts(stats, themeKey = 'violet') {
                     // Label
                     ctx.font = '12px Inter, sans-serif';
                     ctx.fillStyle = '#9ca3af';
-                    ctx.fillText('总计时长', centerX, centerY + 20);
+                    ctx.fillText(getDurationMode(stats) === 'wallClock' ? '实际间隔时长' : '估算时长', centerX, centerY + 20);
                     
                     ctx.restore();
                 }
@@ -425,7 +793,7 @@ export function initCharts(stats, themeKey = 'violet') {
         });
     }
 
-    // 6. Daily Duration Bar Chart
+    // 7. Daily Duration Bar Chart
     const ctxDailyDuration = document.getElementById('dailyDurationChart');
     if (ctxDailyDuration && stats.dailyDuration) {
         // Generate all dates from first to last using ISO format, fall back to dailyDuration keys
@@ -513,54 +881,1018 @@ export function initCharts(stats, themeKey = 'violet') {
             });
         }
     }
-}
 
+    // 8. Group Member Ranking (Horizontal Bar Chart - when group chats are included)
+    const ctxMemberRanking = document.getElementById('memberRankingChart');
+    if (ctxMemberRanking && stats.memberStats) {
+        const memberEntries = Object.values(stats.memberStats)
+            .sort((a, b) => b.messages - a.messages)
+            .slice(0, 20);
 
-/**
- * Generate full statistics dashboard HTML
- */
-export function generateDashboardHTML(stats, character, isGlobalMode = false, themeKey = 'violet') {
-    const title = isGlobalMode ? '全部角色统计' : character.name;
-    const safeTitle = escapeHtml(title);
-    const dateRange = stats.__meta?.dateRange || null;
-    const dateBounds = stats.__meta?.dateBounds || null;
-    const startValue = dateRange?.start || dateBounds?.min || '';
-    const endValue = dateRange?.end || dateBounds?.max || '';
-    const minValue = dateBounds?.min || '';
-    const maxValue = dateBounds?.max || '';
-    const rangeDisplay = stats.overview.firstDate !== 'N/A'
-        ? `${stats.overview.firstDate} - ${stats.overview.lastDate}`
-        : (startValue || endValue ? `${startValue || 'N/A'} - ${endValue || 'N/A'}` : 'N/A');
-
-    const theme = THEMES[themeKey] || THEMES.violet;
-    const themeClass = theme.class;
-    const themeColor = theme.color;
-    // Map theme to icon
-    const themeIcon = {
-        'violet': 'fa-droplet',
-        'blue': 'fa-water',
-        'emerald': 'fa-leaf',
-        'amber': 'fa-sun',
-        'rose': 'fa-fire'
-    }[themeKey] || 'fa-palette';
+        if (memberEntries.length > 0) {
+            charts.memberRanking = new Chart(ctxMemberRanking, {
+                type: 'bar',
+                data: {
+                    labels: memberEntries.map(m => m.name),
+                    datasets: [{
+                        label: '发言数',
+                        data: memberEntries.map(m => m.messages),
+                        backgroundColor: `rgba(${colorRGB}, 0.7)`,
+                        borderColor: `rgba(${colorRGB}, 1)`,
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: (items) => items[0].label,
+                                label: (item) => {
+                                    const member = memberEntries[item.dataIndex];
+                                    return `发言数: ${item.raw.toLocaleString()}，字数: ${member.chars.toLocaleString()}`;
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                            ticks: { color: '#9ca3af' },
+                            beginAtZero: true
+                        },
+                        y: {
+                            grid: { display: false },
+                            ticks: {
+                                color: '#e5e7eb',
+                                font: { size: 11 }
+                            }
+                        }
+                    }
+                }
+            });
+        }
+    }
 
-    return `
-        <div class="stats-dashboard ${themeClass}">
-            <div class="stats-header-row">
-                <div class="stats-title-group">
-                    <h3><i class="fa-solid fa-chart-simple"></i> 统计报告: ${safeTitle}</h3>
-                    <small>${escapeHtml(rangeDisplay)}</small>
-                </div>
+    // 9. Session Length Histogram
+    const ctxSessions = document.getElementById('sessionHistogramChart');
+    if (ctxSessions && stats.sessions) {
+        charts.sessionHistogram = new Chart(ctxSessions, {
+            type: 'bar',
+            data: {
+                labels: stats.sessions.histogram.labels,
+                datasets: [{
+                    label: '会话数',
+                    data: stats.sessions.histogram.counts,
+                    backgroundColor: `rgba(${colorRGB}, 0.6)`,
+                    borderColor: `rgba(${colorRGB}, 1)`,
+                    borderWidth: 1,
+                    borderRadius: 4,
+                    maxBarThickness: 60
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `会话: ${item.raw}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: '#9ca3af' }
+                    },
+                    y: {
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                        ticks: { color: '#9ca3af', precision: 0 },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
 
-                <div class="stats-date-range">
-                    <span class="date-range-label">时间范围</span>
-                    <input type="date" class="stats-date-input start-date" value="${startValue}" min="${minValue}" max="${maxValue}" />
-                    <span class="date-range-sep">—</span>
-                    <input type="date" class="stats-date-input end-date" value="${endValue}" min="${minValue}" max="${maxValue}" />
+    // 10. Accepted Swipe Position (among regenerated messages)
+    const ctxSwipePosition = document.getElementById('swipePositionChart');
+    if (ctxSwipePosition && stats.swipes) {
+        const positions = stats.swipes.acceptedPositions;
+        charts.swipePosition = new Chart(ctxSwipePosition, {
+            type: 'bar',
+            data: {
+                labels: positions.map((_, i) => i === positions.length - 1 ? `第 ${i + 1}+ 个` : `第 ${i + 1} 个`),
+                datasets: [{
+                    label: '消息数',
+                    data: positions,
+                    backgroundColor: `rgba(${colorRGB}, 0.6)`,
+                    borderColor: `rgba(${colorRGB}, 1)`,
+                    borderWidth: 1,
+                    borderRadius: 4,
+                    maxBarThickness: 60
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `消息: ${item.raw}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: '#9ca3af' }
+                    },
+                    y: {
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                        ticks: { color: '#9ca3af', precision: 0 },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    // 11. Daily Average Generation Latency
+    const ctxLatency = document.getElementById('latencyChart');
+    if (ctxLatency && stats.latency) {
+        const latencyDates = Object.keys(stats.latency.daily).sort();
+        charts.latency = new Chart(ctxLatency, {
+            type: 'line',
+            data: {
+                labels: latencyDates,
+                datasets: [{
+                    label: '平均耗时(秒)',
+                    data: latencyDates.map(date => Math.round(stats.latency.daily[date] / 100) / 10),
+                    borderColor: `rgba(${colorRGB}, 1)`,
+                    backgroundColor: `rgba(${colorRGB}, 0.1)`,
+                    borderWidth: 2,
+                    pointRadius: 1,
+                    pointHoverRadius: 4,
+                    fill: true,
+                    tension: 0.3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `平均耗时: ${item.raw}s`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true, maxTicksLimit: 12 }
+                    },
+                    y: {
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                        ticks: { color: '#9ca3af', callback: (value) => `${value}s` },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    // 12. Daily / Cumulative Estimated Spending
+    const ctxCost = document.getElementById('costChart');
+    if (ctxCost && stats.costs) {
+        const costDates = Object.keys(stats.costs.daily).sort();
+        const labels = [];
+        if (costDates.length > 0) {
+            const current = parseLocalDateKey(costDates[0]);
+            const last = parseLocalDateKey(costDates[costDates.length - 1]);
+            while (current <= last) {
+                labels.push(formatLocalDateKey(current));
+                current.setDate(current.getDate() + 1);
+            }
+        }
+        let cumulative = 0;
+        const cumulativeData = labels.map(date => {
+            cumulative += stats.costs.daily[date] || 0;
+            return Math.round(cumulative * 10000) / 10000;
+        });
+
+        charts.cost = new Chart(ctxCost, {
+            data: {
+                labels,
+                datasets: [{
+                    type: 'bar',
+                    label: '当日花费',
+                    data: labels.map(date => Math.round((stats.costs.daily[date] || 0) * 10000) / 10000),
+                    backgroundColor: `rgba(${colorRGB}, 0.6)`,
+                    borderRadius: 3,
+                    yAxisID: 'y'
+                }, {
+                    type: 'line',
+                    label: '累计花费',
+                    data: cumulativeData,
+                    borderColor: 'rgba(251, 191, 36, 0.9)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    tension: 0.2,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#9ca3af', boxWidth: 12 } },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${formatCost(item.raw)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: { display: false },
+                        ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true, maxTicksLimit: 12 }
+                    },
+                    y: {
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                        ticks: { color: '#9ca3af', callback: (value) => `$${value}` },
+                        beginAtZero: true
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: { display: false },
+                        ticks: { color: '#9ca3af', callback: (value) => `$${value}` },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    // 13. Calendar Heatmap (DOM grid, defaults to the latest active year)
+    const heatmapYears = getHeatmapYears(stats);
+    if (heatmapYears.length > 0) {
+        heatmapState = {
+            stats,
+            year: heatmapYears[heatmapYears.length - 1],
+            metric: 'messages'
+        };
+        renderCalendarHeatmap();
+    } else {
+        heatmapState = null;
+    }
+
+    // 14. Chat Drill-down Table (largest chats first)
+    chatTableState = stats.chatStats ? { rows: stats.chatStats, sortKey: 'messages', sortDir: 'desc', query: '' } : null;
+    renderChatTable();
+}
+
+
+/**
+ * Generate estimate / wall-clock totals side by side under the duration gauge (click to switch mode)
+ */
+function generateDurationModeToggleHTML(stats) {
+    if (!stats.wallClock) return '';
+    const mode = getDurationMode(stats);
+    return `
+        <div class="heatmap-metric-toggle duration-mode-toggle">
+            <button class="hourly-toggle-btn duration-mode-btn ${mode === 'estimate' ? 'active' : ''}" data-mode="estimate" title="按字数估算打字与阅读时间">
+                估算 · ${formatMinutes(stats.overview.totalDurationMinutes || 0)}
+            </button>
+            <button class="hourly-toggle-btn duration-mode-btn ${mode === 'wallClock' ? 'active' : ''}" data-mode="wallClock" title="同一会话内相邻消息的实际时间间隔之和">
+                实际间隔 · ${formatMinutes(stats.wallClock.totalMinutes)}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Generate duration model preset buttons under the duration gauge (recomputes the report)
+ */
+function generateDurationPresetToggleHTML(durationModel) {
+    const activeKey = getDurationPresetKey(durationModel);
+    const buttons = Object.entries(CONFIG.DURATION_PRESETS).map(([key, preset]) => `
+        <button class="hourly-toggle-btn duration-preset-btn ${key === activeKey ? 'active' : ''}" data-preset="${key}">${preset.name}</button>
+    `).join('');
+    return `
+        <div class="heatmap-metric-toggle duration-preset-toggle" title="时长估算方式，可在扩展设置中自定义">
+            ${buttons}
+            ${activeKey === 'custom' ? '<button class="hourly-toggle-btn active" disabled>自定义</button>' : ''}
+        </div>
+    `;
+}
+
+/**
+ * Generate session overview and length distribution cards
+ */
+function generateSessionsHTML(stats) {
+    const sessions = stats.sessions;
+    if (!sessions || sessions.count === 0) return '';
+
+    const formatTime = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: stats.clock?.timeZone || undefined });
+    const longest = sessions.longest;
+    const longestHTML = longest ? `
+                            <div class="session-stat-row session-longest">
+                                <span class="session-stat-label">最长会话</span>
+                                <span class="session-stat-value">${formatMinutes(Math.round(longest.minutes))}</span>
+                                <small>${longest.date} ${formatTime(longest.start)} - ${formatTime(longest.end)} · ${longest.messages} 条消息</small>
+                                <small><span class="stats-character-link" data-source="${escapeHtml(longest.sourceKey || '')}">${escapeHtml(longest.characterName)}</span> / ${escapeHtml(longest.fileName)}</small>
+                            </div>
+    ` : '';
+
+    return `
+            <!-- Session Analytics -->
+            <div class="duration-stats-grid">
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-layer-group"></i> 会话概览</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <div class="session-stat-list">
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">会话总数</span>
+                                <span class="session-stat-value">${formatNumber(sessions.count)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">平均时长</span>
+                                <span class="session-stat-value">${formatMinutes(Math.round(sessions.avgMinutes))}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">时长中位数</span>
+                                <span class="session-stat-value">${formatMinutes(Math.round(sessions.medianMinutes))}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">日均会话数</span>
+                                <span class="session-stat-value">${sessions.perDay}</span>
+                            </div>
+                            ${longestHTML}
+                        </div>
+                    </div>
+                </div>
+
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-chart-simple"></i> 会话时长分布</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content chart-content-md">
+                        <canvas id="sessionHistogramChart"></canvas>
+                    </div>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Generate API source pie + source × model table
+ */
+function generateProviderHTML(stats) {
+    if (!stats.providerModels || stats.overview.aiMessages === 0) return '';
+
+    const aiMessages = stats.overview.aiMessages;
+    const rows = Object.entries(stats.providerModels)
+        .flatMap(([provider, models]) => Object.entries(models).map(([model, count]) => ({ provider, model, count })))
+        .sort((a, b) => b.count - a.count);
+    const tableRows = rows.slice(0, 30).map(row => `
+                                <tr>
+                                    <td class="stats-table-name" title="${escapeHtml(row.provider)}">${escapeHtml(row.provider)}</td>
+                                    <td class="stats-table-name" title="${escapeHtml(row.model)}">${escapeHtml(row.model)}</td>
+                                    <td>${formatNumber(row.count)}</td>
+                                    <td>${(row.count / aiMessages * 100).toFixed(1)}%</td>
+                                </tr>
+    `).join('');
+
+    return `
+            <!-- API Source -->
+            <div class="hourly-model-grid">
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-server"></i> API 来源</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content chart-content-md">
+                        <canvas id="providerPieChart"></canvas>
+                    </div>
+                </div>
+
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-table"></i> 来源 × 模型</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <table class="stats-table">
+                            <thead><tr><th>来源</th><th>模型</th><th>消息</th><th>占比</th></tr></thead>
+                            <tbody>${tableRows}</tbody>
+                        </table>
+                        ${rows.length > 30 ? `<div class="metric-sub">仅显示前 30 个组合，共 ${rows.length} 个</div>` : ''}
+                    </div>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Generate swipe (regeneration) statistics cards
+ */
+function generateSwipesHTML(stats) {
+    const swipes = stats.swipes;
+    if (!swipes || swipes.messages === 0) return '';
+
+    const percent = (part, total) => total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '0%';
+    const average = (counter) => counter.messages > 0 ? (counter.swipes / counter.messages).toFixed(2) : '0';
+    const renderTable = (title, icon, groups) => {
+        const rows = Object.entries(groups)
+            .sort(([, a], [, b]) => b.messages - a.messages)
+            .slice(0, 10)
+            .map(([name, counter]) => `
+                <tr>
+                    <td class="stats-table-name" title="${escapeHtml(name)}">${escapeHtml(name)}</td>
+                    <td>${formatNumber(counter.messages)}</td>
+                    <td>${percent(counter.swiped, counter.messages)}</td>
+                    <td>${average(counter)}</td>
+                </tr>
+            `).join('');
+        return `
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid ${icon}"></i> ${title}</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <table class="stats-table">
+                            <thead><tr><th>名称</th><th>AI 消息</th><th>重新生成率</th><th>平均候选数</th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </div>
+        `;
+    };
+
+    return `
+            <!-- Swipe Statistics -->
+            <div class="duration-stats-grid">
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-shuffle"></i> 重新生成统计</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <div class="session-stat-list">
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">一次通过率</span>
+                                <span class="session-stat-value">${percent(swipes.messages - swipes.swiped, swipes.messages)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">每条 AI 消息平均候选数</span>
+                                <span class="session-stat-value">${average(swipes)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">重新生成过的消息</span>
+                                <span class="session-stat-value">${formatNumber(swipes.swiped)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">被舍弃的字数</span>
+                                <span class="session-stat-value">${formatNumber(swipes.discardedChars)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">被舍弃的 Token (估算)</span>
+                                <span class="session-stat-value">${formatNumber(swipes.discardedTokens)}</span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-hand-pointer"></i> 最终采用第几个候选</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content chart-content-md">
+                        <canvas id="swipePositionChart"></canvas>
+                    </div>
+                </div>
+            </div>
+
+            <div class="hourly-model-grid">
+                ${renderTable('各模型重新生成率', 'fa-robot', swipes.byModel)}
+                ${renderTable('各角色重新生成率', 'fa-user', swipes.byCharacter)}
+            </div>
+    `;
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Generate generation latency / throughput cards
+ */
+function generateLatencyHTML(stats) {
+    const latency = stats.latency;
+    if (!latency || latency.overall.count === 0) return '';
+
+    const overall = latency.overall;
+    const formatTps = (value) => value === null ? '—' : `${value}`;
+    // Slowest first (by median), only groups with enough samples to be meaningful
+    const renderTable = (title, icon, groups) => {
+        const rows = Object.entries(groups)
+            .filter(([, summary]) => summary.count >= 3)
+            .sort(([, a], [, b]) => b.medianMs - a.medianMs)
+            .slice(0, 10)
+            .map(([name, summary]) => `
+                <tr>
+                    <td class="stats-table-name" title="${escapeHtml(name)}">${escapeHtml(name)}</td>
+                    <td>${formatNumber(summary.count)}</td>
+                    <td>${formatSeconds(summary.avgMs)}</td>
+                    <td>${formatSeconds(summary.medianMs)}</td>
+                    <td>${formatSeconds(summary.p95Ms)}</td>
+                    <td>${formatTps(summary.tokensPerSecond)}</td>
+                </tr>
+            `).join('');
+        return `
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid ${icon}"></i> ${title}</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <table class="stats-table">
+                            <thead><tr><th>名称</th><th>次数</th><th>平均</th><th>中位</th><th>P95</th><th>Token/秒</th></tr></thead>
+                            <tbody>${rows || '<tr><td colspan="6">样本不足</td></tr>'}</tbody>
+                        </table>
+                    </div>
+                </div>
+        `;
+    };
+
+    return `
+            <!-- Generation Latency -->
+            <div class="duration-stats-grid">
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-gauge-high"></i> 生成速度</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <div class="session-stat-list">
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">有耗时记录的回复</span>
+                                <span class="session-stat-value">${formatNumber(overall.count)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">平均耗时</span>
+                                <span class="session-stat-value">${formatSeconds(overall.avgMs)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">耗时中位数</span>
+                                <span class="session-stat-value">${formatSeconds(overall.medianMs)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">P95 耗时</span>
+                                <span class="session-stat-value">${formatSeconds(overall.p95Ms)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">平均 Token/秒</span>
+                                <span class="session-stat-value">${formatTps(overall.tokensPerSecond)}</span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-chart-line"></i> 每日平均生成耗时</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content chart-content-md">
+                        <canvas id="latencyChart"></canvas>
+                    </div>
+                </div>
+            </div>
+
+            <div class="hourly-model-grid">
+                ${renderTable('各模型生成速度 (最慢在前)', 'fa-robot', latency.byModel)}
+                ${renderTable('最慢的角色', 'fa-user', latency.byCharacter)}
+            </div>
+    `;
+}
+
+function formatCost(value) {
+    if (value > 0 && value < 0.01) return `$${value.toFixed(4)}`;
+    return `$${value.toFixed(2)}`;
+}
+
+/**
+ * Generate estimated spending cards (totals, cost over time, per model / per character)
+ */
+function generateCostHTML(stats) {
+    const costs = stats.costs;
+    if (!costs || costs.pricedMessages === 0) return '';
+
+    const costDays = Object.keys(costs.daily).length;
+    const unpricedModels = Object.entries(costs.unpricedModels)
+        .sort(([, a], [, b]) => b - a)
+        .map(([model, count]) => `${model}: ${count}`)
+        .join('\n');
+    const modelRows = Object.entries(costs.byModel)
+        .sort(([, a], [, b]) => b.cost - a.cost)
+        .slice(0, 10)
+        .map(([model, entry]) => `
+                    <tr>
+                        <td class="stats-table-name" title="${escapeHtml(model)}">${escapeHtml(model)}</td>
+                        <td>${formatNumber(entry.messages)}</td>
+                        <td>${formatNumber(entry.inputTokens)}</td>
+                        <td>${formatNumber(entry.outputTokens)}</td>
+                        <td>${formatCost(entry.cost)}</td>
+                    </tr>
+        `).join('');
+    const characterRows = Object.entries(costs.byCharacter)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 10)
+        .map(([name, cost]) => `
+                    <tr>
+                        <td class="stats-table-name" title="${escapeHtml(name)}">${escapeHtml(name)}</td>
+                        <td>${formatCost(cost)}</td>
+                        <td>${(cost / costs.total * 100).toFixed(1)}%</td>
+                    </tr>
+        `).join('');
+
+    return `
+            <!-- Estimated Spending -->
+            <div class="duration-stats-grid">
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-coins"></i> 预估花费</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <div class="session-stat-list">
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">总计</span>
+                                <span class="session-stat-value">${formatCost(costs.total)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">有花费的日均</span>
+                                <span class="session-stat-value">${costDays ? formatCost(costs.total / costDays) : '—'}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">每条 AI 回复</span>
+                                <span class="session-stat-value">${formatCost(costs.total / costs.pricedMessages)}</span>
+                            </div>
+                            <div class="session-stat-row">
+                                <span class="session-stat-label">已计价回复</span>
+                                <span class="session-stat-value">${formatNumber(costs.pricedMessages)}</span>
+                            </div>
+                            <div class="session-stat-row" title="${escapeHtml(unpricedModels)}">
+                                <span class="session-stat-label">未匹配价格的回复</span>
+                                <span class="session-stat-value">${formatNumber(costs.unpricedMessages)}</span>
+                            </div>
+                        </div>
+                        <small class="metric-sub">按设置中的模型价格估算：输入按之前的聊天记录计（上限 ${formatNumber(stats.pricing.contextTokens)} Token，含重新生成），不含角色卡等提示词</small>
+                    </div>
+                </div>
+
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-chart-line"></i> 花费趋势</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content chart-content-md">
+                        <canvas id="costChart"></canvas>
+                    </div>
+                </div>
+            </div>
+
+            <div class="hourly-model-grid">
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-robot"></i> 各模型花费</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <table class="stats-table">
+                            <thead><tr><th>模型</th><th>回复</th><th>输入 Token</th><th>输出 Token</th><th>花费</th></tr></thead>
+                            <tbody>${modelRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-user"></i> 角色花费排行</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                        <table class="stats-table">
+                            <thead><tr><th>角色</th><th>花费</th><th>占比</th></tr></thead>
+                            <tbody>${characterRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Generate per-chat drill-down table card (rows are rendered by renderChatTable)
+ */
+function generateChatTableHTML(stats) {
+    if (!stats.chatStats || stats.chatStats.length === 0) return '';
+
+    const columns = [
+        { key: 'fileName', label: '聊天文件' },
+        { key: 'characterName', label: '角色' },
+        { key: 'messages', label: '消息数' },
+        { key: 'userChars', label: '用户字数' },
+        { key: 'aiChars', label: 'AI 字数' },
+        { key: 'firstDate', label: '首次' },
+        { key: 'lastDate', label: '最后' },
+        { key: 'minutes', label: '时长' }
+    ];
+
+    return `
+            <!-- Chat Drill-down Table -->
+            <div class="stats-card chart-card-chats">
+                <div class="card-header-row">
+                    <h4><i class="fa-solid fa-table-list"></i> 聊天文件明细</h4>
+                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                </div>
+                <div class="card-content">
+                    <div class="chat-table-toolbar">
+                        <input type="search" class="chat-table-search" placeholder="搜索聊天文件或角色..." />
+                        <span class="chat-table-count"></span>
+                    </div>
+                    <div class="chat-table-wrapper">
+                        <table class="chat-table">
+                            <thead>
+                                <tr>${columns.map(col => `<th data-sort="${col.key}">${col.label} <i class="fa-solid fa-sort"></i></th>`).join('')}</tr>
+                            </thead>
+                            <tbody class="chat-table-body"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Render chat table rows from chatTableState (filtered, sorted, capped at CHAT_TABLE_LIMIT)
+ */
+function renderChatTable() {
+    const $card = $('#stats-overlay .chart-card-chats');
+    if (!$card.length || !chatTableState) return;
+
+    const { rows, sortKey, sortDir, query } = chatTableState;
+    const keyword = query.trim().toLowerCase();
+    const indices = rows
+        .map((row, index) => index)
+        .filter(index => !keyword
+            || rows[index].fileName.toLowerCase().includes(keyword)
+            || rows[index].characterName.toLowerCase().includes(keyword));
+
+    indices.sort((a, b) => {
+        const valueA = rows[a][sortKey] ?? '';
+        const valueB = rows[b][sortKey] ?? '';
+        const result = typeof valueA === 'number' && typeof valueB === 'number'
+            ? valueA - valueB
+            : String(valueA).localeCompare(String(valueB));
+        return sortDir === 'asc' ? result : -result;
+    });
+
+    const bodyHTML = indices.slice(0, CHAT_TABLE_LIMIT).map(index => {
+        const row = rows[index];
+        return `
+            <tr class="chat-table-row" data-index="${index}" title="在 SillyTavern 中打开此聊天">
+                <td class="chat-table-file">${escapeHtml(row.fileName.replace(/\.jsonl$/, ''))}</td>
+                <td><span class="stats-character-link" data-source="${escapeHtml(row.sourceKey || '')}">${escapeHtml(row.characterName)}</span></td>
+                <td>${formatNumber(row.messages)}</td>
+                <td>${formatNumber(row.userChars)}</td>
+                <td>${formatNumber(row.aiChars)}</td>
+                <td>${row.firstDate || '—'}</td>
+                <td>${row.lastDate || '—'}</td>
+                <td>${formatMinutes(row.minutes)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    $card.find('.chat-table-body').html(bodyHTML || '<tr><td colspan="8" class="chat-table-empty">没有匹配的聊天</td></tr>');
+    $card.find('.chat-table-count').text(indices.length > CHAT_TABLE_LIMIT
+        ? `共 ${indices.length} 个，显示前 ${CHAT_TABLE_LIMIT} 个`
+        : `共 ${indices.length} 个`);
+    $card.find('th[data-sort]').each(function() {
+        const active = $(this).data('sort') === sortKey;
+        $(this).toggleClass('active', active)
+            .find('i').attr('class', `fa-solid ${active ? (sortDir === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'}`);
+    });
+}
+
+/**
+ * Generate percentage change badge against the previous period
+ */
+function generateDeltaHTML(current, previous) {
+    if (previous === undefined || previous === null) return '';
+    const currentValue = Number(current) || 0;
+    const previousValue = Number(previous) || 0;
+    if (previousValue === 0) {
+        return currentValue > 0 ? '<span class="metric-delta delta-up"><i class="fa-solid fa-arrow-up"></i> 新增</span>' : '';
+    }
+    const percent = ((currentValue - previousValue) / previousValue) * 100;
+    if (Math.abs(percent) < 0.05) {
+        return '<span class="metric-delta"><i class="fa-solid fa-minus"></i> 0%</span>';
+    }
+    const direction = percent > 0 ? 'up' : 'down';
+    return `<span class="metric-delta delta-${direction}"><i class="fa-solid fa-arrow-${direction}"></i> ${Math.abs(percent).toFixed(1)}%</span>`;
+}
+
+/**
+ * Generate "this week / this month so far vs. previous" strip
+ */
+function generatePeriodStripHTML(stats) {
+    const checkIn = stats.checkIn;
+    if (!checkIn) return '';
+
+    const item = (label, previousLabel, period) => `
+        <div class="stats-period-item">
+            <span class="stats-period-label">${label}</span>
+            <span class="stats-period-value">${formatNumber(period.current)} 条</span>
+            ${generateDeltaHTML(period.current, period.previous)}
+            <small>${previousLabel} ${formatNumber(period.previous)} 条</small>
+        </div>
+    `;
+
+    return `
+            <div class="stats-period-strip" title="统计截至 ${checkIn.asOf}，不受时间范围筛选影响">
+                ${item('本周至今', '上周同期', checkIn.week)}
+                ${item('本月至今', '上月同期', checkIn.month)}
+            </div>
+    `;
+}
+
+/**
+ * Generate activity streak metric row
+ */
+function generateStreaksHTML(stats) {
+    const streaks = stats.streaks;
+    if (!streaks) return '';
+
+    const formatSpan = (start, end) => start ? (start === end ? start : `${start} ~ ${end}`) : '—';
+
+    return `
+            <!-- Activity Streaks -->
+            <div class="stats-metrics-row" style="grid-template-columns: repeat(5, 1fr);">
+                <div class="stats-card metric-item">
+                    <span class="metric-value">${formatNumber(streaks.activeDays)}</span>
+                    <span class="metric-label">实际活跃天数</span>
+                    <span class="metric-sub">跨度 ${formatNumber(stats.overview.daysActive)} 天</span>
+                </div>
+                <div class="stats-card metric-item">
+                    <span class="metric-value">${streaks.currentStreak}</span>
+                    <span class="metric-label">当前连续天数</span>
+                </div>
+                <div class="stats-card metric-item">
+                    <span class="metric-value">${streaks.longestStreak}</span>
+                    <span class="metric-label">最长连续天数</span>
+                    <span class="metric-sub">${formatSpan(streaks.longestStreakStart, streaks.longestStreakEnd)}</span>
+                </div>
+                <div class="stats-card metric-item">
+                    <span class="metric-value">${streaks.longestGap}</span>
+                    <span class="metric-label">最长中断天数</span>
+                    <span class="metric-sub">${formatSpan(streaks.longestGapStart, streaks.longestGapEnd)}</span>
+                </div>
+                <div class="stats-card metric-item">
+                    <span class="metric-value">${streaks.avgActiveDaysPerWeek}</span>
+                    <span class="metric-label">周均活跃天数</span>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Generate the badge wall: persisted unlocks with their dates, progress towards the rest from this report
+ * @param {Object<string, string>} unlocked - Achievement id -> date key it was reached ('' if unknown)
+ */
+function generateAchievementsHTML(stats, unlocked) {
+    const achievements = evaluateAchievements(stats).map(achievement => {
+        const isUnlocked = achievement.id in unlocked || achievement.reached;
+        return { ...achievement, isUnlocked, date: unlocked[achievement.id] || achievement.date };
+    });
+    const unlockedCount = achievements.filter(achievement => achievement.isUnlocked).length;
+
+    const badges = achievements.map(achievement => `
+                    <div class="achievement-badge ${achievement.isUnlocked ? 'unlocked' : 'locked'}" title="${escapeHtml(achievement.description)}">
+                        <i class="fa-solid ${achievement.icon} achievement-icon"></i>
+                        <span class="achievement-name">${escapeHtml(achievement.name)}</span>
+                        <span class="achievement-desc">${escapeHtml(achievement.description)}</span>
+                        ${achievement.isUnlocked ? `
+                        <span class="achievement-date">${achievement.date ? `${achievement.date} 达成` : '已达成'}</span>
+                        ` : `
+                        <div class="achievement-progress"><div style="width: ${(achievement.progress * 100).toFixed(1)}%"></div></div>
+                        <span class="achievement-date">${formatNumber(achievement.value)} / ${formatNumber(achievement.goal)}</span>
+                        `}
+                    </div>
+    `).join('');
+
+    return `
+            <!-- Achievements -->
+            <div class="stats-card">
+                <div class="card-header-row">
+                    <h4><i class="fa-solid fa-medal"></i> 成就徽章 <small>已解锁 ${unlockedCount} / ${achievements.length}</small></h4>
+                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                </div>
+                <div class="card-content">
+                    <div class="achievement-grid">${badges}</div>
+                </div>
+            </div>
+    `;
+}
+
+/**
+ * Generate full statistics dashboard HTML
+ * @param {object|null} character - Character or group the report is about (null in global mode)
+ * @param {Object<string, string>} [unlockedAchievements] - Persisted achievement unlocks for the badge wall
+ */
+export function generateDashboardHTML(reportStats, character, isGlobalMode = false, themeKey = 'violet', unlockedAchievements = {}) {
+    const stats = getDurationView(reportStats);
+    const title = isGlobalMode ? '全部角色统计' : character.name;
+    const safeTitle = escapeHtml(title);
+    const dateRange = stats.__meta?.dateRange || null;
+    const dateBounds = stats.__meta?.dateBounds || null;
+    const startValue = dateRange?.start || dateBounds?.min || '';
+    const endValue = dateRange?.end || dateBounds?.max || '';
+    const minValue = dateBounds?.min || '';
+    const maxValue = dateBounds?.max || '';
+    const rangeDisplay = stats.overview.firstDate !== 'N/A'
+        ? `${stats.overview.firstDate} - ${stats.overview.lastDate}`
+        : (startValue || endValue ? `${startValue || 'N/A'} - ${endValue || 'N/A'}` : 'N/A');
+    // Non-default day bucketing is shown next to the range so shifted days are not a surprise
+    const clockNotes = [];
+    if (stats.clock?.timeZone) clockNotes.push(stats.clock.timeZone);
+    if (stats.clock?.dayStartHour) clockNotes.push(`每天从 ${String(stats.clock.dayStartHour).padStart(2, '0')}:00 开始`);
+    const clockDisplay = clockNotes.length ? ` (${clockNotes.join(' · ')})` : '';
+
+    const hasMemberStats = !!stats.memberStats && Object.keys(stats.memberStats).length > 0;
+    const drillDown = stats.__meta?.drillDown || null;
+    const previous = stats.previousPeriod || null;
+    const previousTitle = previous ? `title="与上一周期 (${previous.start} ~ ${previous.end}) 相比"` : '';
+
+    const theme = THEMES[themeKey] || THEMES.violet;
+    const themeClass = theme.class;
+    const themeColor = theme.color;
+    // Map theme to icon
+    const themeIcon = {
+        'violet': 'fa-droplet',
+        'blue': 'fa-water',
+        'emerald': 'fa-leaf',
+        'amber': 'fa-sun',
+        'rose': 'fa-fire'
+    }[themeKey] || 'fa-palette';
+
+    return `
+        <div class="stats-dashboard ${themeClass} ${isGlobalMode ? 'stats-global' : ''}">
+            <div class="stats-header-row">
+                <div class="stats-title-group">
+                    ${drillDown ? `
+                    <div class="stats-breadcrumb">
+                        <span class="stats-breadcrumb-back"><i class="fa-solid fa-arrow-left"></i> ${escapeHtml(drillDown.parentTitle)}</span>
+                        <span class="stats-breadcrumb-sep">/</span>
+                        <span>${safeTitle}</span>
+                    </div>
+                    ` : ''}
+                    <h3><i class="fa-solid fa-chart-simple"></i> 统计报告: ${safeTitle}</h3>
+                    <small>${escapeHtml(rangeDisplay + clockDisplay)}</small>
+                </div>
+
+                <div class="stats-date-range">
+                    <span class="date-range-label">时间范围</span>
+                    <input type="date" class="stats-date-input start-date" value="${startValue}" min="${minValue}" max="${maxValue}" />
+                    <span class="date-range-sep">—</span>
+                    <input type="date" class="stats-date-input end-date" value="${endValue}" min="${minValue}" max="${maxValue}" />
                     <button class="stats-date-apply">应用</button>
                 </div>
                 
                 <div class="stats-actions">
+                    <div class="stats-btn compare-btn" title="对比分析 (Compare)">
+                        <i class="fa-solid fa-code-compare"></i>
+                    </div>
+                    <div class="stats-btn wrapped-btn" title="年度回顾 (Year in Review)">
+                        <i class="fa-solid fa-film"></i>
+                    </div>
                     <div class="stats-btn theme-btn" title="切换配色 (Change Theme: ${theme.name})" data-theme="${themeKey}">
                         <i class="fa-solid ${themeIcon}"></i>
                     </div>
@@ -575,46 +1907,71 @@ export function generateDashboardHTML(stats, character, isGlobalMode = false, th
                     </div>
                 </div>
             </div>
+
+            ${generateFetchFailuresHTML(stats.__meta?.fetchFailures)}
             
+            ${generatePeriodStripHTML(stats)}
+
             <!-- Key Metrics Grid: 2 rows x 4 columns -->
-            <div class="stats-metrics-row" style="grid-template-columns: repeat(4, 1fr);">
+            <div class="stats-metrics-row" style="grid-template-columns: repeat(4, 1fr);" ${previousTitle}>
                 <!-- Row 1: User Stats -->
                 <div class="stats-card metric-item stat-user">
                     <span class="metric-value">${formatNumber(stats.overview.userMessages)}</span>
                     <span class="metric-label">用户消息数</span>
+                    ${generateDeltaHTML(stats.overview.userMessages, previous?.userMessages)}
                 </div>
                 <div class="stats-card metric-item stat-user">
                     <span class="metric-value">${formatNumber(stats.overview.userCharCount)}</span>
                     <span class="metric-label">用户输入字数</span>
+                    ${generateDeltaHTML(stats.overview.userCharCount, previous?.userCharCount)}
                 </div>
                 <div class="stats-card metric-item stat-user">
                     <span class="metric-value">${formatNumber(stats.tokens.user)}</span>
                     <span class="metric-label">用户输入 Token</span>
+                    ${generateDeltaHTML(stats.tokens.user, previous?.tokens.user)}
                 </div>
                 <div class="stats-card metric-item stat-card-user stat-user">
                     <span class="metric-value" style="font-size: 2.4em;">${formatNumber(stats.overview.totalMessages)}</span>
                     <span class="metric-label" style="opacity: 0.8; color: inherit;">总消息数</span>
+                    ${generateDeltaHTML(stats.overview.totalMessages, previous?.totalMessages)}
                 </div>
 
                 <!-- Row 2: AI Stats -->
                 <div class="stats-card metric-item stat-ai">
                     <span class="metric-value">${formatNumber(stats.overview.aiMessages)}</span>
                     <span class="metric-label">AI 消息数</span>
+                    ${generateDeltaHTML(stats.overview.aiMessages, previous?.aiMessages)}
                 </div>
                 <div class="stats-card metric-item stat-ai">
                     <span class="metric-value">${formatNumber(stats.overview.aiCharCount)}</span>
                     <span class="metric-label">AI 输出字数</span>
+                    ${generateDeltaHTML(stats.overview.aiCharCount, previous?.aiCharCount)}
                 </div>
                 <div class="stats-card metric-item stat-ai">
                     <span class="metric-value">${formatNumber(stats.tokens.ai)}</span>
                     <span class="metric-label">AI 输出 Token</span>
+                    ${generateDeltaHTML(stats.tokens.ai, previous?.tokens.ai)}
                 </div>
                 <div class="stats-card metric-item stat-card-ai stat-ai">
                     <span class="metric-value" style="font-size: 2.4em;">${stats.overview.ratio}x</span>
                     <span class="metric-label" style="opacity: 0.8; color: inherit;">AI/用户比</span>
+                    ${generateDeltaHTML(stats.overview.ratio, previous?.ratio)}
                 </div>
             </div>
 
+            ${generateStreaksHTML(stats)}
+
+            ${generateAchievementsHTML(stats, unlockedAchievements)}
+
+            <!-- Calendar Heatmap -->
+            <div class="stats-card chart-card-calendar">
+                <div class="card-header-row">
+                    <h4><i class="fa-solid fa-calendar-days"></i> 活跃日历</h4>
+                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                </div>
+                <div class="card-content calendar-heatmap-body"></div>
+            </div>
+
             <!-- Timeline Chart (Years Vertical Bar Chart) -->
              <div class="stats-card chart-card-timeline">
                 <div class="card-header-row">
@@ -634,8 +1991,12 @@ export function generateDashboardHTML(stats, character, isGlobalMode = false, th
                         <h4><i class="fa-solid fa-hourglass-half"></i> 总时长</h4>
                         <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
                     </div>
-                    <div class="card-content chart-content-gauge">
-                        <canvas id="durationGaugeChart"></canvas>
+                    <div class="card-content">
+                        <div class="chart-content-gauge">
+                            <canvas id="durationGaugeChart"></canvas>
+                        </div>
+                        ${generateDurationModeToggleHTML(reportStats)}
+                        ${generateDurationPresetToggleHTML(stats.durationModel)}
                     </div>
                 </div>
                 
@@ -651,52 +2012,813 @@ export function generateDashboardHTML(stats, character, isGlobalMode = false, th
                 </div>
             </div>
 
+            ${generateSessionsHTML(stats)}
+
+            ${generateSwipesHTML(stats)}
+
+            ${generateLatencyHTML(stats)}
+
+            ${generateChatTableHTML(stats)}
+
+            <div class="hourly-model-grid">
+                <!-- Hourly Heatmap -->
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-clock"></i> 24小时分布</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content">
+                         <div style="margin-bottom: 10px; font-size: 0.9em; color: var(--st-text-muted);">
+                            基于全时段的消息密度热力图与趋势统计
+                        </div>
+                        ${generateHourlyHeatmapHTML(stats.hourlyActivity, themeColor)}
+                        ${generateWeekdayHourHeatmapHTML(stats.weekdayHourActivity, themeColor)}
+                        ${stats.weekdayHourActivity ? `
+                        <div class="heatmap-metric-toggle hourly-scope-toggle">
+                            <button class="hourly-toggle-btn hourly-scope-btn active" data-scope="all">全部</button>
+                            <button class="hourly-toggle-btn hourly-scope-btn" data-scope="weekday">工作日</button>
+                            <button class="hourly-toggle-btn hourly-scope-btn" data-scope="weekend">周末</button>
+                        </div>
+                        ` : ''}
+                        <div class="hourly-chart-container">
+                            <canvas id="hourlyChart"></canvas>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Model Stats Pie Chart -->
+                <div class="stats-card">
+                    <div class="card-header-row">
+                        <h4><i class="fa-solid fa-pie-chart"></i> 模型偏好</h4>
+                        <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                    </div>
+                    <div class="card-content chart-content-md">
+                        <canvas id="modelPieChart"></canvas>
+                    </div>
+                </div>
+            </div>
+
+            ${generateProviderHTML(stats)}
+
+            ${stats.dailyModelUsage && Object.keys(stats.dailyModelUsage).length > 0 ? `
+            <!-- Model Usage Over Time -->
+            <div class="stats-card">
+                <div class="card-header-row">
+                    <h4><i class="fa-solid fa-chart-area"></i> 模型使用趋势</h4>
+                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                </div>
+                <div class="card-content">
+                    <div class="chart-content-lg">
+                        <canvas id="modelTimelineChart"></canvas>
+                    </div>
+                    <div class="heatmap-metric-toggle hourly-scope-toggle">
+                        <button class="hourly-toggle-btn model-timeline-btn active" data-period="day">按日</button>
+                        <button class="hourly-toggle-btn model-timeline-btn" data-period="week">按周</button>
+                        <button class="hourly-toggle-btn model-timeline-btn" data-period="month">按月</button>
+                    </div>
+                </div>
+            </div>
+            ` : ''}
+
+            ${generateCostHTML(stats)}
+
+            ${isGlobalMode ? `
+            <!-- Character Ranking (Global Mode Only) -->
+            <div class="stats-card chart-card-ranking">
+                <div class="card-header-row">
+                    <h4><i class="fa-solid fa-ranking-star"></i> 角色消息排行</h4>
+                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                </div>
+                <div class="card-content chart-content-xl">
+                    <canvas id="characterRankingChart"></canvas>
+                </div>
+            </div>
+            ` : ''}
+
+            ${hasMemberStats ? `
+            <!-- Group Member Ranking (Group Chats Only) -->
+            <div class="stats-card chart-card-ranking">
+                <div class="card-header-row">
+                    <h4><i class="fa-solid fa-users"></i> 群聊成员发言排行</h4>
+                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                </div>
+                <div class="card-content chart-content-xl">
+                    <canvas id="memberRankingChart"></canvas>
+                </div>
+            </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+
+const COMPARISON_METRICS = [
+    { label: '总消息数', get: (stats) => stats.overview.totalMessages },
+    { label: '用户消息数', get: (stats) => stats.overview.userMessages },
+    { label: 'AI 消息数', get: (stats) => stats.overview.aiMessages },
+    { label: '用户输入字数', get: (stats) => stats.overview.userCharCount },
+    { label: 'AI 输出字数', get: (stats) => stats.overview.aiCharCount },
+    { label: 'Token 总量', get: (stats) => stats.tokens.user + stats.tokens.ai },
+    { label: '总时长', get: (stats) => stats.overview.totalDurationMinutes || 0, format: formatMinutes },
+    { label: '实际活跃天数', get: (stats) => stats.streaks?.activeDays || 0 },
+    { label: '会话数', get: (stats) => stats.sessions?.count || 0 },
+    { label: '聊天文件数', get: (stats) => stats.chatStats?.length || 0 }
+];
+
+/**
+ * Colors of selection A (theme color) and B (a contrasting theme color)
+ */
+function getComparisonColors(themeKey) {
+    const colorA = (THEMES[themeKey] || THEMES.violet).color;
+    const colorB = themeKey === 'amber' ? THEMES.blue.color : THEMES.amber.color;
+    return { colorA, colorB };
+}
+
+function renderSwatch(color) {
+    return `<span class="compare-swatch" style="background-color: rgb(${color});"></span>`;
+}
+
+/**
+ * Generate comparison setup form
+ * @param {{key: string, name: string}[]} choices - Characters and groups that can be compared
+ * @param {object} [defaults] - { mode, aKey, bKey, rangeA, rangeB } to prefill the form
+ */
+export function generateComparisonSetupHTML(choices, defaults = {}, themeKey = 'violet') {
+    const theme = THEMES[themeKey] || THEMES.violet;
+    const { colorA, colorB } = getComparisonColors(themeKey);
+    const mode = defaults.mode === 'ranges' ? 'ranges' : 'characters';
+    const renderOptions = (selectedKey) => choices
+        .map(choice => `<option value="${escapeHtml(choice.key)}" ${choice.key === selectedKey ? 'selected' : ''}>${escapeHtml(choice.name)}</option>`)
+        .join('');
+    const renderRange = (range, cls) => `
+        <input type="date" class="stats-date-input ${cls}-start" value="${range?.start || ''}" />
+        <span class="date-range-sep">—</span>
+        <input type="date" class="stats-date-input ${cls}-end" value="${range?.end || ''}" />
+    `;
+
+    return `
+        <div class="stats-dashboard ${theme.class} stats-compare" data-mode="${mode}">
+            <div class="stats-header-row">
+                <div class="stats-title-group">
+                    <div class="stats-breadcrumb">
+                        <span class="stats-breadcrumb-back"><i class="fa-solid fa-arrow-left"></i> 返回报告</span>
+                    </div>
+                    <h3><i class="fa-solid fa-code-compare"></i> 对比分析</h3>
+                </div>
+                <div class="stats-actions">
+                    <div class="stats-btn close-btn" title="Close">
+                        <i class="fa-solid fa-xmark"></i>
+                    </div>
+                </div>
+            </div>
+
+            <div class="stats-card compare-setup">
+                <div class="heatmap-metric-toggle">
+                    <button class="hourly-toggle-btn compare-mode-btn ${mode === 'characters' ? 'active' : ''}" data-mode="characters">两个角色</button>
+                    <button class="hourly-toggle-btn compare-mode-btn ${mode === 'ranges' ? 'active' : ''}" data-mode="ranges">同一角色的两个时间段</button>
+                </div>
+                <div class="compare-setup-grid">
+                    <label class="compare-field">
+                        <span class="compare-field-label">${renderSwatch(colorA)} 对象 A</span>
+                        <select class="compare-select-a">${renderOptions(defaults.aKey)}</select>
+                    </label>
+                    <label class="compare-field compare-characters-only">
+                        <span class="compare-field-label">${renderSwatch(colorB)} 对象 B</span>
+                        <select class="compare-select-b">${renderOptions(defaults.bKey)}</select>
+                    </label>
+                    <div class="compare-field">
+                        <span class="compare-field-label compare-characters-only">时间范围（可选）</span>
+                        <span class="compare-field-label compare-ranges-only">${renderSwatch(colorA)} 时间段 A</span>
+                        <div class="compare-range">${renderRange(defaults.rangeA, 'compare-range-a')}</div>
+                    </div>
+                    <div class="compare-field compare-ranges-only">
+                        <span class="compare-field-label">${renderSwatch(colorB)} 时间段 B</span>
+                        <div class="compare-range">${renderRange(defaults.rangeB, 'compare-range-b')}</div>
+                    </div>
+                </div>
+                <button class="stats-date-apply compare-run-btn"><i class="fa-solid fa-play"></i> 开始对比</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate comparison result view
+ * @param {object} result - { mode, a: { label, stats }, b: { label, stats } }
+ */
+export function generateComparisonHTML(result, themeKey = 'violet') {
+    const theme = THEMES[themeKey] || THEMES.violet;
+    const { colorA, colorB } = getComparisonColors(themeKey);
+    const { a, b } = result;
+
+    const metricsHTML = COMPARISON_METRICS.map(metric => {
+        const format = metric.format || formatNumber;
+        const valueA = metric.get(a.stats);
+        const valueB = metric.get(b.stats);
+        const diff = valueB - valueA;
+        const percent = valueA > 0 ? ` (${diff >= 0 ? '+' : ''}${((diff / valueA) * 100).toFixed(1)}%)` : '';
+        const deltaClass = diff > 0 ? 'delta-up' : (diff < 0 ? 'delta-down' : '');
+        return `
+                <div class="stats-card metric-item compare-metric">
+                    <span class="metric-label">${metric.label}</span>
+                    <div class="compare-values">
+                        <span style="color: rgb(${colorA});">${format(valueA)}</span>
+                        <span class="compare-vs">vs</span>
+                        <span style="color: rgb(${colorB});">${format(valueB)}</span>
+                    </div>
+                    <span class="compare-delta ${deltaClass}">B ${diff >= 0 ? '+' : '-'}${format(Math.abs(diff))}${percent}</span>
+                </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="stats-dashboard ${theme.class} stats-compare">
+            <div class="stats-header-row">
+                <div class="stats-title-group">
+                    <div class="stats-breadcrumb">
+                        <span class="stats-breadcrumb-back"><i class="fa-solid fa-arrow-left"></i> 对比设置</span>
+                    </div>
+                    <h3><i class="fa-solid fa-code-compare"></i> 对比分析</h3>
+                    <div class="compare-legend">
+                        <span>${renderSwatch(colorA)} A: ${escapeHtml(a.label)}</span>
+                        <span>${renderSwatch(colorB)} B: ${escapeHtml(b.label)}</span>
+                    </div>
+                </div>
+                <div class="stats-actions">
+                    <div class="stats-btn download-btn" title="Save as Image">
+                        <i class="fa-solid fa-download"></i>
+                    </div>
+                    <div class="stats-btn close-btn" title="Close">
+                        <i class="fa-solid fa-xmark"></i>
+                    </div>
+                </div>
+            </div>
+
+            <div class="stats-metrics-row" style="grid-template-columns: repeat(5, 1fr);">
+                ${metricsHTML}
+            </div>
+
+            <div class="stats-card chart-card-timeline">
+                <div class="card-header-row">
+                    <h4><i class="fa-solid fa-chart-line"></i> ${result.mode === 'ranges' ? '每日活跃度 (按时间段第 N 天对齐)' : '每日活跃度'}</h4>
+                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+                </div>
+                <div class="card-content chart-content-lg">
+                    <canvas id="compareTimelineChart"></canvas>
+                </div>
+            </div>
+
             <div class="hourly-model-grid">
-                <!-- Hourly Heatmap -->
                 <div class="stats-card">
                     <div class="card-header-row">
                         <h4><i class="fa-solid fa-clock"></i> 24小时分布</h4>
                         <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
                     </div>
-                    <div class="card-content">
-                         <div style="margin-bottom: 10px; font-size: 0.9em; color: var(--st-text-muted);">
-                            基于全时段的消息密度热力图与趋势统计
-                        </div>
-                        ${generateHourlyHeatmapHTML(stats.hourlyActivity, themeColor)}
-                        <div class="hourly-chart-container">
-                            <canvas id="hourlyChart"></canvas>
-                        </div>
+                    <div class="card-content chart-content-md">
+                        <canvas id="compareHourlyChart"></canvas>
                     </div>
                 </div>
-
-                <!-- Model Stats Pie Chart -->
                 <div class="stats-card">
                     <div class="card-header-row">
-                        <h4><i class="fa-solid fa-pie-chart"></i> 模型偏好</h4>
+                        <h4><i class="fa-solid fa-robot"></i> 模型使用</h4>
                         <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
                     </div>
                     <div class="card-content chart-content-md">
-                        <canvas id="modelPieChart"></canvas>
+                        <canvas id="compareModelChart"></canvas>
                     </div>
                 </div>
             </div>
+        </div>
+    `;
+}
 
-            ${isGlobalMode ? `
-            <!-- Character Ranking (Global Mode Only) -->
-            <div class="stats-card chart-card-ranking">
-                <div class="card-header-row">
-                    <h4><i class="fa-solid fa-ranking-star"></i> 角色消息排行</h4>
-                    <i class="fa-solid fa-chevron-up card-toggle-btn"></i>
+/**
+ * Continuous list of date keys from start to end (inclusive)
+ */
+function listDateKeys(start, end) {
+    const dates = [];
+    const startDate = parseLocalDateKey(start);
+    const endDate = parseLocalDateKey(end);
+    if (!startDate || !endDate) return dates;
+
+    const currentDate = new Date(startDate);
+    let safety = 0;
+    while (currentDate <= endDate && safety < 10000) {
+        dates.push(formatLocalDateKey(currentDate));
+        currentDate.setDate(currentDate.getDate() + 1);
+        safety++;
+    }
+    return dates;
+}
+
+/**
+ * Initialize overlaid comparison charts
+ * @param {object} result - Same as generateComparisonHTML
+ */
+export function initComparisonCharts(result, themeKey = 'violet') {
+    cleanupCharts();
+
+    const { colorA, colorB } = getComparisonColors(themeKey);
+    const { a, b } = result;
+    const dataset = (label, data, color, extra = {}) => ({
+        label,
+        data,
+        borderColor: `rgba(${color}, 1)`,
+        backgroundColor: `rgba(${color}, 0.2)`,
+        borderWidth: 2,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        tension: 0.3,
+        ...extra
+    });
+    const legend = { labels: { color: '#e5e7eb' } };
+    const scales = {
+        x: { grid: { display: false }, ticks: { color: '#9ca3af', maxRotation: 0, autoSkip: true, maxTicksLimit: 15 } },
+        y: { grid: { color: 'rgba(255, 255, 255, 0.05)' }, ticks: { color: '#9ca3af' }, beginAtZero: true }
+    };
+
+    // 1. Daily activity: shared calendar axis, or day offsets when comparing two ranges
+    const ctxTimeline = document.getElementById('compareTimelineChart');
+    if (ctxTimeline) {
+        const rangeA = a.stats.__meta?.dateRange || {};
+        const rangeB = b.stats.__meta?.dateRange || {};
+        let labels;
+        let dataA;
+        let dataB;
+        if (result.mode === 'ranges') {
+            const datesA = listDateKeys(rangeA.start, rangeA.end);
+            const datesB = listDateKeys(rangeB.start, rangeB.end);
+            const length = Math.max(datesA.length, datesB.length);
+            labels = Array.from({ length }, (_, i) => `第 ${i + 1} 天`);
+            dataA = labels.map((_, i) => datesA[i] ? (a.stats.dailyActivity[datesA[i]] || 0) : null);
+            dataB = labels.map((_, i) => datesB[i] ? (b.stats.dailyActivity[datesB[i]] || 0) : null);
+        } else {
+            const starts = [rangeA.start, rangeB.start].filter(Boolean).sort();
+            const ends = [rangeA.end, rangeB.end].filter(Boolean).sort();
+            labels = starts.length && ends.length ? listDateKeys(starts[0], ends[ends.length - 1]) : [];
+            dataA = labels.map(date => a.stats.dailyActivity[date] || 0);
+            dataB = labels.map(date => b.stats.dailyActivity[date] || 0);
+        }
+
+        charts.compareTimeline = new Chart(ctxTimeline, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    dataset(`A: ${a.label}`, dataA, colorA),
+                    dataset(`B: ${b.label}`, dataB, colorB)
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend },
+                interaction: { mode: 'index', intersect: false },
+                scales
+            }
+        });
+    }
+
+    // 2. Hourly distribution
+    const ctxHourly = document.getElementById('compareHourlyChart');
+    if (ctxHourly) {
+        charts.compareHourly = new Chart(ctxHourly, {
+            type: 'line',
+            data: {
+                labels: Array.from({ length: 24 }, (_, i) => i),
+                datasets: [
+                    dataset(`A: ${a.label}`, a.stats.hourlyActivity, colorA, { fill: true, pointRadius: 2 }),
+                    dataset(`B: ${b.label}`, b.stats.hourlyActivity, colorB, { fill: true, pointRadius: 2 })
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend,
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => `时间: ${items[0].label}:00 - ${items[0].label}:59`
+                        }
+                    }
+                },
+                interaction: { mode: 'index', intersect: false },
+                scales
+            }
+        });
+    }
+
+    // 3. Model usage: top 10 models across both selections
+    const ctxModel = document.getElementById('compareModelChart');
+    if (ctxModel) {
+        const combined = {};
+        [a.stats.models, b.stats.models].forEach(models => {
+            Object.entries(models || {}).forEach(([model, count]) => {
+                combined[model] = (combined[model] || 0) + count;
+            });
+        });
+        const models = Object.entries(combined)
+            .sort(([, x], [, y]) => y - x)
+            .slice(0, 10)
+            .map(([model]) => model);
+
+        charts.compareModel = new Chart(ctxModel, {
+            type: 'bar',
+            data: {
+                labels: models,
+                datasets: [
+                    dataset(`A: ${a.label}`, models.map(model => a.stats.models?.[model] || 0), colorA, { backgroundColor: `rgba(${colorA}, 0.7)`, borderWidth: 1 }),
+                    dataset(`B: ${b.label}`, models.map(model => b.stats.models?.[model] || 0), colorB, { backgroundColor: `rgba(${colorB}, 0.7)`, borderWidth: 1 })
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend },
+                scales: {
+                    x: scales.y,
+                    y: { grid: { display: false }, ticks: { color: '#e5e7eb', font: { size: 11 } } }
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Setup event handlers for the comparison setup and result views
+ * Card toggles, close and download stay bound from setupDashboardEvents.
+ * @param {object} handlers
+ * @param {Function} [handlers.onCompare] - Receives { mode, a: { key, name, start, end }, b: { ... } }
+ * @param {Function} [handlers.onBack] - Breadcrumb back
+ */
+export function setupComparisonEvents(handlers = {}) {
+    const $wrapper = $('#stats-content-wrapper');
+
+    $wrapper.off('click', '.stats-breadcrumb-back').on('click', '.stats-breadcrumb-back', function() {
+        if (handlers.onBack) {
+            handlers.onBack();
+        }
+    });
+
+    $wrapper.off('click', '.compare-mode-btn').on('click', '.compare-mode-btn', function() {
+        $wrapper.find('.compare-mode-btn').removeClass('active');
+        $(this).addClass('active');
+        $wrapper.find('.stats-compare').attr('data-mode', $(this).data('mode'));
+    });
+
+    $wrapper.off('click', '.compare-run-btn').on('click', '.compare-run-btn', function() {
+        const $setup = $wrapper.find('.stats-compare');
+        const mode = $setup.attr('data-mode');
+        const $selectA = $setup.find('.compare-select-a');
+        const $selectB = mode === 'ranges' ? $selectA : $setup.find('.compare-select-b');
+        const readRange = (cls) => ({
+            start: String($setup.find(`.${cls}-start`).val() || ''),
+            end: String($setup.find(`.${cls}-end`).val() || '')
+        });
+        const rangeA = readRange('compare-range-a');
+        const rangeB = mode === 'ranges' ? readRange('compare-range-b') : rangeA;
+
+        if (mode === 'characters' && $selectA.val() === $selectB.val()) {
+            toastr.error('请选择两个不同的对象。');
+            return;
+        }
+        if (mode === 'ranges' && (!rangeA.start || !rangeA.end || !rangeB.start || !rangeB.end)) {
+            toastr.error('请填写两个完整的时间段。');
+            return;
+        }
+        if ([rangeA, rangeB].some(range => range.start && range.end && range.start > range.end)) {
+            toastr.error('开始日期不能晚于结束日期。');
+            return;
+        }
+
+        if (handlers.onCompare) {
+            handlers.onCompare({
+                mode,
+                a: { key: $selectA.val(), name: $selectA.find('option:selected').text(), ...rangeA },
+                b: { key: $selectB.val(), name: $selectB.find('option:selected').text(), ...rangeB }
+            });
+        }
+    });
+}
+
+/**
+ * Render an element with html2canvas and download it as a PNG file
+ */
+async function downloadElementImage(element, fileName) {
+    const canvas = await html2canvas(element, {
+        backgroundColor: '#1f2023',
+        scale: 2,
+        useCORS: true,
+        logging: false
+    });
+
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = canvas.toDataURL('image/png');
+    link.click();
+}
+
+function formatHourRange(hour) {
+    return `${String(hour).padStart(2, '0')}:00 – ${String(hour).padStart(2, '0')}:59`;
+}
+
+function getTopEntry(counts) {
+    return Object.entries(counts || {}).sort(([, a], [, b]) => b - a)[0] || null;
+}
+
+/**
+ * Slide bodies of a year-in-review recap; slides without data for the year are left out
+ * @param {object} stats - Stats computed over one calendar year (duration view applied)
+ */
+function buildWrappedSlides(stats, year, subjectName) {
+    const slides = [];
+    const overview = stats.overview;
+    const activeDays = Object.keys(stats.dailyActivity).length;
+    const percent = (part, total) => total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '0%';
+    const renderRanking = (entries, total) => `
+                <ol class="wrapped-ranking">
+                    ${entries.map(([name, count]) => `
+                    <li>
+                        <span class="wrapped-ranking-name">${escapeHtml(name)}</span>
+                        <span class="wrapped-ranking-value">${formatNumber(count)} 条 · ${percent(count, total)}</span>
+                    </li>
+                    `).join('')}
+                </ol>
+    `;
+
+    slides.push(`
+                <div class="wrapped-kicker">${escapeHtml(subjectName)}</div>
+                <h2 class="wrapped-title">${year} 年度回顾</h2>
+                <div class="wrapped-big">${formatNumber(overview.totalMessages)}</div>
+                <div class="wrapped-caption">条消息，分布在 ${formatNumber(activeDays)} 个活跃日</div>
+    `);
+
+    const totalChars = overview.userCharCount + overview.aiCharCount;
+    slides.push(`
+                <div class="wrapped-kicker">字里行间</div>
+                <div class="wrapped-big">${formatNumber(overview.userCharCount)}</div>
+                <div class="wrapped-caption">是你今年写下的字数</div>
+                <div class="wrapped-facts">
+                    <div><strong>${formatNumber(overview.aiCharCount)}</strong> 字 AI 的回复</div>
+                    <div><strong>${formatNumber(stats.tokens.user + stats.tokens.ai)}</strong> Token</div>
+                    <div>合计约等于 <strong>${(totalChars / 100000).toFixed(1)}</strong> 本 10 万字的小说</div>
                 </div>
-                <div class="card-content chart-content-xl">
-                    <canvas id="characterRankingChart"></canvas>
+    `);
+
+    const characters = Object.values(getCharacterSources(stats))
+        .sort((a, b) => b.messages - a.messages)
+        .map(source => [getSourceLabel(source), source.messages]);
+    const members = Object.values(stats.memberStats || {}).sort((a, b) => b.messages - a.messages);
+    if (characters.length > 1) {
+        slides.push(`
+                <div class="wrapped-kicker">最常聊天的角色</div>
+                <div class="wrapped-big wrapped-name">${escapeHtml(characters[0][0])}</div>
+                ${renderRanking(characters.slice(0, 5), overview.totalMessages)}
+        `);
+    } else if (members.length > 1) {
+        slides.push(`
+                <div class="wrapped-kicker">发言最多的群成员</div>
+                <div class="wrapped-big wrapped-name">${escapeHtml(members[0].name)}</div>
+                ${renderRanking(members.slice(0, 5).map(member => [member.name, member.messages]), overview.aiMessages)}
+        `);
+    }
+
+    const models = Object.entries(stats.models).sort(([, a], [, b]) => b - a);
+    if (models.length > 0) {
+        slides.push(`
+                <div class="wrapped-kicker">年度模型</div>
+                <div class="wrapped-big wrapped-name">${escapeHtml(models[0][0])}</div>
+                <div class="wrapped-caption">写下了 ${percent(models[0][1], overview.aiMessages)} 的 AI 回复</div>
+                ${models.length > 1 ? renderRanking(models.slice(0, 5), overview.aiMessages) : ''}
+        `);
+    }
+
+    const busiestDay = getTopEntry(stats.dailyActivity);
+    if (busiestDay) {
+        const busiestHour = stats.hourlyActivity.indexOf(Math.max(...stats.hourlyActivity));
+        const weekdayTotals = stats.weekdayHourActivity.messages.map(row => row.reduce((sum, count) => sum + count, 0));
+        const busiestWeekday = weekdayTotals.indexOf(Math.max(...weekdayTotals));
+        slides.push(`
+                <div class="wrapped-kicker">最忙碌的一天</div>
+                <div class="wrapped-big">${busiestDay[0]}</div>
+                <div class="wrapped-caption">这一天共有 ${formatNumber(busiestDay[1])} 条消息</div>
+                <div class="wrapped-facts">
+                    <div>最常出没的时段 <strong>${formatHourRange(busiestHour)}</strong></div>
+                    <div>最活跃的一天是 <strong>${WEEKDAY_LABELS[busiestWeekday]}</strong></div>
+                </div>
+        `);
+    }
+
+    const longest = stats.sessions?.longest;
+    if (longest) {
+        slides.push(`
+                <div class="wrapped-kicker">最长的一次会话</div>
+                <div class="wrapped-big">${formatMinutes(Math.round(longest.minutes))}</div>
+                <div class="wrapped-caption">${longest.date} · 与 ${escapeHtml(longest.characterName)} · ${formatNumber(longest.messages)} 条消息</div>
+                <div class="wrapped-facts">
+                    <div>全年共 <strong>${formatNumber(stats.sessions.count)}</strong> 次会话</div>
+                    <div>累计 <strong>${formatMinutes(overview.totalDurationMinutes)}</strong></div>
+                </div>
+        `);
+    }
+
+    const swipes = stats.swipes;
+    if (swipes && swipes.messages > 0) {
+        slides.push(`
+                <div class="wrapped-kicker">重新生成习惯</div>
+                <div class="wrapped-big">${percent(swipes.messages - swipes.swiped, swipes.messages)}</div>
+                <div class="wrapped-caption">的 AI 回复一次就被采用</div>
+                <div class="wrapped-facts">
+                    <div>重新生成过 <strong>${formatNumber(swipes.swiped)}</strong> 条回复</div>
+                    <div>每条回复平均 <strong>${(swipes.swipes / swipes.messages).toFixed(2)}</strong> 个候选</div>
+                    <div>舍弃了约 <strong>${formatNumber(swipes.discardedTokens)}</strong> Token</div>
+                </div>
+        `);
+    }
+
+    // Month by month: message count and the month's most used model
+    const months = Array.from({ length: 12 }, () => ({ messages: 0, models: {} }));
+    Object.entries(stats.dailyActivity).forEach(([dateKey, count]) => {
+        months[Number(dateKey.slice(5, 7)) - 1].messages += count;
+    });
+    Object.entries(stats.dailyModelUsage || {}).forEach(([dateKey, models]) => {
+        const month = months[Number(dateKey.slice(5, 7)) - 1];
+        Object.entries(models).forEach(([model, count]) => {
+            month.models[model] = (month.models[model] || 0) + count;
+        });
+    });
+    const maxMonth = Math.max(...months.map(month => month.messages), 1);
+    const busiestMonth = months.findIndex(month => month.messages === maxMonth);
+    slides.push(`
+                <div class="wrapped-kicker">逐月回顾</div>
+                <div class="wrapped-caption">最热闹的是 <strong>${busiestMonth + 1} 月</strong></div>
+                <div class="wrapped-months">
+                    ${months.map((month, i) => `
+                    <div class="wrapped-month ${i === busiestMonth ? 'highlight' : ''}">
+                        <span class="wrapped-month-label">${i + 1} 月</span>
+                        <div class="wrapped-month-bar"><div style="width: ${(month.messages / maxMonth * 100).toFixed(1)}%"></div></div>
+                        <span class="wrapped-month-value">${formatNumber(month.messages)}</span>
+                        <span class="wrapped-month-model" title="${escapeHtml(getTopEntry(month.models)?.[0] || '')}">${escapeHtml(getTopEntry(month.models)?.[0] || '—')}</span>
+                    </div>
+                    `).join('')}
+                </div>
+    `);
+
+    slides.push(`
+                <div class="wrapped-kicker">${year} 年，感谢陪伴</div>
+                <div class="wrapped-facts">
+                    <div>最长连续聊天 <strong>${stats.streaks?.longestStreak || 0}</strong> 天</div>
+                    <div>活跃日平均 <strong>${activeDays > 0 ? Math.round(overview.totalMessages / activeDays) : 0}</strong> 条消息</div>
+                    <div>在 <strong>${formatNumber(stats.chatStats?.length || 0)}</strong> 个聊天中留下了记录</div>
+                </div>
+                <div class="wrapped-caption">明年见</div>
+    `);
+
+    return slides;
+}
+
+/**
+ * Generate the year-in-review recap: full-screen slides with navigation and per-slide image export
+ * @param {object} reportStats - Stats computed over one calendar year
+ * @param {object} options - { year, years, subjectName }
+ */
+export function generateWrappedHTML(reportStats, options, themeKey = 'violet') {
+    const stats = getDurationView(reportStats);
+    const theme = THEMES[themeKey] || THEMES.violet;
+    const { year, years, subjectName } = options;
+
+    if (stats.overview.totalMessages === 0) {
+        return `
+        <div class="stats-dashboard ${theme.class} stats-wrapped">
+            <div class="stats-header-row">
+                <div class="stats-title-group">
+                    <div class="stats-breadcrumb">
+                        <span class="stats-breadcrumb-back"><i class="fa-solid fa-arrow-left"></i> 返回报告</span>
+                    </div>
+                    <h3><i class="fa-solid fa-film"></i> ${year} 年度回顾</h3>
                 </div>
             </div>
-            ` : ''}
+            <div class="stats-card"><p>${year} 年没有聊天记录。</p></div>
+        </div>
+        `;
+    }
+
+    const slides = buildWrappedSlides(stats, year, subjectName);
+    const yearOptions = years.map(value => `<option value="${value}" ${value === year ? 'selected' : ''}>${value}</option>`).join('');
+
+    return `
+        <div class="stats-dashboard ${theme.class} stats-wrapped" data-year="${year}">
+            <div class="stats-header-row">
+                <div class="stats-title-group">
+                    <div class="stats-breadcrumb">
+                        <span class="stats-breadcrumb-back"><i class="fa-solid fa-arrow-left"></i> 返回报告</span>
+                    </div>
+                    <h3><i class="fa-solid fa-film"></i> 年度回顾</h3>
+                </div>
+                <div class="stats-actions">
+                    <select class="stats-date-input wrapped-year-select" title="选择年份">${yearOptions}</select>
+                    <div class="stats-btn wrapped-export-btn" title="导出全部页面为图片">
+                        <i class="fa-solid fa-images"></i>
+                    </div>
+                    <div class="stats-btn close-btn" title="Close">
+                        <i class="fa-solid fa-xmark"></i>
+                    </div>
+                </div>
+            </div>
+
+            <div class="wrapped-stage">
+                ${slides.map((body, i) => `
+                <section class="wrapped-slide ${i === 0 ? 'active' : ''}" data-index="${i}">
+                    ${body}
+                    <div class="wrapped-footer">${escapeHtml(subjectName)} · ${year} · ${i + 1} / ${slides.length}</div>
+                </section>
+                `).join('')}
+            </div>
+
+            <div class="wrapped-nav">
+                <button class="hourly-toggle-btn wrapped-prev-btn"><i class="fa-solid fa-chevron-left"></i></button>
+                <div class="wrapped-dots">
+                    ${slides.map((_, i) => `<span class="wrapped-dot ${i === 0 ? 'active' : ''}" data-index="${i}"></span>`).join('')}
+                </div>
+                <button class="hourly-toggle-btn wrapped-next-btn"><i class="fa-solid fa-chevron-right"></i></button>
+            </div>
         </div>
     `;
 }
 
+/**
+ * Setup navigation (buttons, dots, arrow keys), year switch and image export for the recap
+ * @param {object} handlers - { onBack, onYearChange(year) }
+ */
+export function setupWrappedEvents(handlers = {}) {
+    const $wrapper = $('#stats-content-wrapper');
+
+    const showSlide = (index) => {
+        const $slides = $wrapper.find('.wrapped-slide');
+        if (!$slides.length) return;
+        const target = Math.max(0, Math.min($slides.length - 1, index));
+        $slides.removeClass('active').eq(target).addClass('active');
+        $wrapper.find('.wrapped-dot').removeClass('active').eq(target).addClass('active');
+    };
+    const currentSlide = () => Number($wrapper.find('.wrapped-slide.active').data('index')) || 0;
+
+    $wrapper.off('click', '.stats-breadcrumb-back').on('click', '.stats-breadcrumb-back', function() {
+        $(document).off('keydown.statsWrapped');
+        if (handlers.onBack) {
+            handlers.onBack();
+        }
+    });
+
+    $wrapper.off('click', '.wrapped-prev-btn').on('click', '.wrapped-prev-btn', () => showSlide(currentSlide() - 1));
+    $wrapper.off('click', '.wrapped-next-btn').on('click', '.wrapped-next-btn', () => showSlide(currentSlide() + 1));
+    $wrapper.off('click', '.wrapped-dot').on('click', '.wrapped-dot', function() {
+        showSlide(Number($(this).data('index')));
+    });
+
+    $(document).off('keydown.statsWrapped').on('keydown.statsWrapped', (e) => {
+        // Only while the recap is on screen
+        if (!$('#stats-overlay .stats-wrapped').length) {
+            $(document).off('keydown.statsWrapped');
+            return;
+        }
+        if (e.key === 'ArrowLeft') showSlide(currentSlide() - 1);
+        if (e.key === 'ArrowRight') showSlide(currentSlide() + 1);
+    });
+
+    $wrapper.off('change', '.wrapped-year-select').on('change', '.wrapped-year-select', function() {
+        if (handlers.onYearChange) {
+            handlers.onYearChange(String($(this).val()));
+        }
+    });
+
+    $wrapper.off('click', '.wrapped-export-btn').on('click', '.wrapped-export-btn', async function() {
+        const btn = $(this);
+        if (btn.hasClass('busy')) return;
+        const originalHTML = btn.html();
+        const year = $wrapper.find('.stats-wrapped').data('year');
+        const activeIndex = currentSlide();
+        const slides = $wrapper.find('.wrapped-slide').toArray();
+        btn.addClass('busy').html('<i class="fa-solid fa-spinner fa-spin"></i>');
+
+        try {
+            // Each slide is shown in turn and captured on its own
+            for (let i = 0; i < slides.length; i++) {
+                showSlide(i);
+                await downloadElementImage(slides[i], `SillyTavern_Wrapped_${year}_${String(i + 1).padStart(2, '0')}.png`);
+                // Spacing the downloads keeps browsers from dropping some of them
+                await new Promise(resolve => setTimeout(resolve, 300));
+            }
+            toastr.success(`已导出 ${slides.length} 张图片！`);
+        } catch (error) {
+            logger.error('Year in review export failed:', error);
+            toastr.error('导出图片失败。');
+        } finally {
+            showSlide(activeIndex);
+            btn.removeClass('busy').html(originalHTML);
+        }
+    });
+}
 
 /**
  * Show overlay with content
@@ -731,10 +2853,20 @@ export function closeOverlay() {
 
 /**
  * Setup event handlers for the dashboard
+ * @param {Function} refreshCallback - (force, range, newTheme) => void
+ * @param {object} [handlers]
+ * @param {Function} [handlers.onOpenChat] - Receives a chatStats row when a chat table row is clicked
+ * @param {Function} [handlers.onSelectCharacter] - Receives the source key (see characterSources) of a character clicked in the global report
+ * @param {Function} [handlers.onBack] - Breadcrumb back from a drilled-down dashboard
+ * @param {Function} [handlers.onOpenComparison] - Compare button in the header
+ * @param {Function} [handlers.onOpenWrapped] - Year-in-review button in the header
+ * @param {Function} [handlers.onDurationPresetChange] - Receives a CONFIG.DURATION_PRESETS key
+ * @param {Function} [handlers.onDurationModeChange] - Receives 'estimate' or 'wallClock'
  */
-export function setupDashboardEvents(refreshCallback) {
+export function setupDashboardEvents(refreshCallback, handlers = {}) {
     const $overlay = $('#stats-overlay');
     const $wrapper = $('#stats-content-wrapper');
+    selectCharacterHandler = handlers.onSelectCharacter || null;
     // Auto-scroll heatmap to the right
     setTimeout(() => {
         const wrapper = $overlay.find('.heatmap-scroll-wrapper');
@@ -799,6 +2931,132 @@ export function setupDashboardEvents(refreshCallback) {
         }
     });
 
+    // Calendar heatmap: year navigation and metric toggle
+    $wrapper.off('click', '.heatmap-year-btn').on('click', '.heatmap-year-btn', function() {
+        if (!heatmapState) return;
+        const years = getHeatmapYears(heatmapState.stats);
+        const index = years.indexOf(heatmapState.year) + Number($(this).data('step'));
+        if (index < 0 || index >= years.length) return;
+        heatmapState.year = years[index];
+        renderCalendarHeatmap();
+    });
+
+    $wrapper.off('click', '.heatmap-metric-btn').on('click', '.heatmap-metric-btn', function() {
+        if (!heatmapState) return;
+        heatmapState.metric = $(this).data('metric');
+        renderCalendarHeatmap();
+    });
+
+    $wrapper.off('mouseenter', '.heatmap-cell[data-date]').on('mouseenter', '.heatmap-cell[data-date]', function() {
+        if (!heatmapState) return;
+        $overlay.find('#heatmap-details-panel').html(generateHeatmapDetailsHTML(heatmapState.stats, $(this).data('date')));
+    });
+
+    // Weekday × hour matrix: messages / minutes
+    $wrapper.off('click', '.weekday-hour-metric-btn').on('click', '.weekday-hour-metric-btn', function() {
+        const metric = $(this).data('metric');
+        const $container = $(this).closest('.weekday-hour-container');
+        $container.find('.weekday-hour-metric-btn').removeClass('active');
+        $(this).addClass('active');
+        $container.find('.weekday-hour-grid').each(function() {
+            $(this).toggle($(this).data('metric') === metric);
+        });
+    });
+
+    // Hourly line chart: all days / weekdays / weekends
+    $wrapper.off('click', '.hourly-scope-btn').on('click', '.hourly-scope-btn', function() {
+        const data = hourlySeries?.[$(this).data('scope')];
+        if (!data || !charts.hourly) return;
+        $(this).siblings('.hourly-scope-btn').removeClass('active');
+        $(this).addClass('active');
+        charts.hourly.data.datasets[0].data = data;
+        charts.hourly.update();
+    });
+
+    // Duration model presets: recompute the report with the chosen speeds
+    $wrapper.off('click', '.duration-preset-btn').on('click', '.duration-preset-btn', function() {
+        if ($(this).hasClass('active') || !handlers.onDurationPresetChange) return;
+        $(this).siblings('.duration-preset-btn').removeClass('active');
+        $(this).addClass('active');
+        handlers.onDurationPresetChange($(this).attr('data-preset'));
+    });
+
+    // Duration mode: estimate / wall-clock
+    $wrapper.off('click', '.duration-mode-btn').on('click', '.duration-mode-btn', function() {
+        if ($(this).hasClass('active') || !handlers.onDurationModeChange) return;
+        handlers.onDurationModeChange($(this).attr('data-mode'));
+    });
+
+    // Model usage timeline: day / week / month buckets
+    $wrapper.off('click', '.model-timeline-btn').on('click', '.model-timeline-btn', function() {
+        if (!modelTimelineState || !charts.modelTimeline) return;
+        $(this).siblings('.model-timeline-btn').removeClass('active');
+        $(this).addClass('active');
+        const { stats, colorRGB } = modelTimelineState;
+        charts.modelTimeline.data = buildModelTimelineData(stats, $(this).data('period'), colorRGB);
+        charts.modelTimeline.update();
+    });
+
+    // Chat table: search, sort and open in SillyTavern
+    $wrapper.off('input', '.chat-table-search').on('input', '.chat-table-search', function() {
+        if (!chatTableState) return;
+        chatTableState.query = String($(this).val() || '');
+        renderChatTable();
+    });
+
+    $wrapper.off('click', '.chat-table th[data-sort]').on('click', '.chat-table th[data-sort]', function() {
+        if (!chatTableState) return;
+        const key = $(this).data('sort');
+        if (chatTableState.sortKey === key) {
+            chatTableState.sortDir = chatTableState.sortDir === 'asc' ? 'desc' : 'asc';
+        } else {
+            chatTableState.sortKey = key;
+            chatTableState.sortDir = ['fileName', 'characterName'].includes(key) ? 'asc' : 'desc';
+        }
+        renderChatTable();
+    });
+
+    $wrapper.off('click', '.chat-table-row').on('click', '.chat-table-row', function() {
+        const row = chatTableState?.rows[Number($(this).data('index'))];
+        if (row && handlers.onOpenChat) {
+            handlers.onOpenChat(row);
+        }
+    });
+
+    // Character names in the global report drill into that character's dashboard
+    $wrapper.off('click', '.stats-global .stats-character-link').on('click', '.stats-global .stats-character-link', function(e) {
+        const sourceKey = $(this).attr('data-source');
+        if (!selectCharacterHandler || !sourceKey) return;
+        e.stopPropagation();
+        selectCharacterHandler(sourceKey);
+    });
+
+    $wrapper.off('click', '.stats-breadcrumb-back').on('click', '.stats-breadcrumb-back', function() {
+        if (handlers.onBack) {
+            handlers.onBack();
+        }
+    });
+
+    $overlay.off('click', '.compare-btn').on('click', '.compare-btn', function() {
+        if (handlers.onOpenComparison) {
+            handlers.onOpenComparison();
+        }
+    });
+
+    $overlay.off('click', '.wrapped-btn').on('click', '.wrapped-btn', function() {
+        if (handlers.onOpenWrapped) {
+            handlers.onOpenWrapped();
+        }
+    });
+
+    // Click a day to filter the dashboard to that date
+    $wrapper.off('click', '.heatmap-cell[data-date]').on('click', '.heatmap-cell[data-date]', function() {
+        const dateKey = String($(this).data('date'));
+        $overlay.find('.stats-date-input.start-date').val(dateKey);
+        $overlay.find('.stats-date-input.end-date').val(dateKey);
+        $overlay.find('.stats-date-apply').trigger('click');
+    });
+
     // Refresh button
     $overlay.off('click', '.refresh-btn').on('click', '.refresh-btn', function() {
         const range = getCurrentDateRange();
@@ -824,17 +3082,7 @@ export function setupDashboardEvents(refreshCallback) {
 
         try {
             dashboard.classList.add('export-mode');
-            const canvas = await html2canvas(dashboard, {
-                backgroundColor: '#1f2023',
-                scale: 2,
-                useCORS: true,
-                logging: false
-            });
-
-            const link = document.createElement('a');
-            link.download = `SillyTavern_Stats_${formatLocalDateKey(new Date())}.png`;
-            link.href = canvas.toDataURL('image/png');
-            link.click();
+            await downloadElementImage(dashboard, `SillyTavern_Stats_${formatLocalDateKey(new Date())}.png`);
 
             toastr.success('图片已导出！');
         } catch (error) {
@@ -9,6 +9,14 @@ module.exports = {
   },
   module: {
     rules: [
+      {
+        // Inline workers as Blob URLs so the extension stays a single dist/index.js
+        test: /\.worker\.js$/,
+        use: {
+          loader: 'worker-loader',
+          options: { inline: 'no-fallback' }
+        }
+      },
       {
         test: /\.js$/,
         exclude: /node_modules/,